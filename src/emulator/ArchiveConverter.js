@@ -0,0 +1,210 @@
+/**
+ * ArchiveConverter
+ *
+ * Repacks .7z and .rar ROM sets as the .zip the FBNeo cores read, in the
+ * browser. Extraction runs in EmulatorJS's own extractor workers
+ * (data/compression/, fetched through the EJS_COMPRESSION class), so the
+ * EmulatorJS scripts must be loaded first — EmulatorBridge.toZip() takes
+ * care of that.
+ *
+ * The new zip stores its files uncompressed: the core reads it once, and
+ * storing is fast where deflating a large set in JS would not be. CRCs are
+ * computed as it is written, so the result can be checked against a DAT
+ * like any other zip.
+ */
+
+/** Uncompressed files the zip format allows without ZIP64 */
+const MAX_ZIP_SIZE = 0xffffffff
+
+/** Silence from an extractor worker for this long means it died on the archive */
+const EXTRACT_TIMEOUT_MS = 60_000
+
+/**
+ * @param {Blob} file
+ * @returns {Promise<'zip' | '7z' | 'rar' | null>} Format from the file's signature
+ */
+export async function archiveFormat(file) {
+  const b = new Uint8Array(await file.slice(0, 8).arrayBuffer())
+  if (b[0] === 0x50 && b[1] === 0x4b && (b[2] === 0x03 || b[2] === 0x05 || b[2] === 0x07)) return 'zip'
+  if (b[0] === 0x37 && b[1] === 0x7a && b[2] === 0xbc && b[3] === 0xaf && b[4] === 0x27 && b[5] === 0x1c) return '7z'
+  if (b[0] === 0x52 && b[1] === 0x61 && b[2] === 0x72 && b[3] === 0x21 && b[4] === 0x1a && b[5] === 0x07) return 'rar'
+  return null
+}
+
+/**
+ * Extract a .7z or .rar and write its files into a new zip.
+ *
+ * @param {File} file
+ * @param {'7z' | 'rar'} format
+ * @param {string} dataPath — EmulatorJS data folder, for the extractor workers
+ * @param {(percent: number) => void} onProgress
+ * @returns {Promise<File>} `<name>.zip`, named after the source archive
+ */
+export async function repackAsZip(file, format, dataPath, onProgress) {
+  const data = new Uint8Array(await file.arrayBuffer())
+  const script = await loadExtractor(format, dataPath)
+  const files = await extract(script, data, onProgress)
+
+  if (files.length === 0) throw new Error(`${file.name} is empty or could not be read`)
+  return new File([buildZip(files)], `${file.name.replace(/\.[^.]+$/, '')}.zip`, { type: 'application/zip' })
+}
+
+/**
+ * Fetch EmulatorJS's extractor worker script for a format.
+ *
+ * @param {'7z' | 'rar'} format
+ * @param {string} dataPath
+ * @returns {Promise<Blob>}
+ */
+function loadExtractor(format, dataPath) {
+  return new Promise((resolve, reject) => {
+    // EJSCompression normally runs inside EmulatorJS; it only needs these
+    // three members to fetch its workers.
+    const host = {
+      downloadFile: async (path, _progress, _notWithPath, { responseType }) => {
+        try {
+          const res = await fetch(`${dataPath}${path}`)
+          if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
+          return { data: responseType === 'text' ? await res.text() : await res.arrayBuffer() }
+        } catch (err) {
+          reject(new Error(`[ArchiveConverter] could not load ${path}: ${err.message}`))
+          return -1
+        }
+      },
+      startGameError: () => {},
+      localization: (text) => text,
+    }
+    new window.EJS_COMPRESSION(host).getWorkerFile(format).then(resolve, reject)
+  })
+}
+
+/**
+ * Run an extractor worker over an archive. This stands in for
+ * EJSCompression.decompressFile(), which can't fail: the extractors only
+ * ever post progress (t 4), a file (t 2) or done (t 1), so a corrupt or
+ * truncated archive shows up as a worker error or as silence. Both reject
+ * here, and the worker and its script URL are released however it ends.
+ *
+ * @param {Blob} script — worker script from loadExtractor()
+ * @param {Uint8Array} data — the archive
+ * @param {(percent: number) => void} onProgress
+ * @returns {Promise<{ name: string, data: Uint8Array }[]>}
+ */
+function extract(script, data, onProgress) {
+  const url = URL.createObjectURL(script)
+  const worker = new Worker(url)
+  /** @type {{ name: string, data: Uint8Array }[]} */
+  const files = []
+  let timer = null
+
+  return new Promise((resolve, reject) => {
+    const wait = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        reject(new Error(`extractor stopped responding for ${EXTRACT_TIMEOUT_MS / 1000} s — the archive may be corrupt or truncated`))
+      }, EXTRACT_TIMEOUT_MS)
+    }
+
+    worker.onmessage = ({ data: message }) => {
+      wait()
+      if (!message) return
+      if (message.t === 4) {
+        const percent = Math.floor(message.current / message.total * 100)
+        if (!isNaN(percent)) onProgress(percent)
+      } else if (message.t === 2) {
+        if (message.file.endsWith('/')) return
+        files.push({ name: message.file, data: message.data instanceof Uint8Array ? message.data : new Uint8Array(message.data) })
+      } else if (message.t === 1) {
+        resolve(files)
+      }
+    }
+    worker.onerror = (e) => {
+      e.preventDefault()
+      reject(new Error(`extractor failed: ${e.message || 'the archive may be corrupt or truncated'}`))
+    }
+    worker.onmessageerror = () => reject(new Error('extractor sent data that could not be read'))
+
+    wait()
+    worker.postMessage(data)
+  }).finally(() => {
+    clearTimeout(timer)
+    worker.terminate()
+    URL.revokeObjectURL(url)
+  })
+}
+
+/**
+ * Write a store-only zip.
+ * @param {{ name: string, data: Uint8Array }[]} files
+ * @returns {Blob}
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder()
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const crc = crc32(file.data)
+    const size = file.data.byteLength
+    if (offset + size > MAX_ZIP_SIZE) throw new Error('archive is too large to repack as a zip')
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)         // version needed
+    local.setUint16(6, 0x0800, true)     // UTF-8 names
+    local.setUint16(8, 0, true)          // stored
+    local.setUint32(14, crc, true)
+    local.setUint32(18, size, true)
+    local.setUint32(22, size, true)
+    local.setUint16(26, name.byteLength, true)
+    parts.push(local, name, file.data)
+
+    const header = new DataView(new ArrayBuffer(46))
+    header.setUint32(0, 0x02014b50, true)
+    header.setUint16(4, 20, true)        // version made by
+    header.setUint16(6, 20, true)
+    header.setUint16(8, 0x0800, true)
+    header.setUint16(10, 0, true)
+    header.setUint32(16, crc, true)
+    header.setUint32(20, size, true)
+    header.setUint32(24, size, true)
+    header.setUint16(28, name.byteLength, true)
+    header.setUint32(42, offset, true)
+    central.push(header, name)
+
+    offset += 30 + name.byteLength + size
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
+
+/** @type {Uint32Array | null} */
+let crcTable = null
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
@@ -0,0 +1,50 @@
+/**
+ * ChtFile
+ *
+ * Reader for RetroArch .cht cheat files, the format libretro-database ships
+ * its cheat collections in:
+ *
+ *   cheats = 2
+ *
+ *   cheat0_desc = "Infinite Time"
+ *   cheat0_code = "FF8ABE:99"
+ *   cheat0_enable = false
+ *
+ * Only code cheats are read. Entries that use RetroArch's memory-search
+ * fields (cheatN_address, cheatN_handler, …) without a code can't go
+ * through the core's set_cheat and are skipped.
+ */
+
+/**
+ * @typedef {object} Cheat
+ * @property {string} description
+ * @property {string} code — core-specific; multi-part codes are joined with '+'
+ * @property {boolean} enabled
+ */
+
+/**
+ * @param {string} text — .cht file contents
+ * @returns {Cheat[]}
+ */
+export function parseChtFile(text) {
+  /** @type {Map<number, Record<string, string>>} */
+  const entries = new Map()
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*cheat(\d+)_(\w+)\s*=\s*(.*?)\s*$/)
+    if (!match) continue
+    const [, index, field, raw] = match
+    const value = raw.replace(/^"(.*)"$/, '$1')
+    if (!entries.has(Number(index))) entries.set(Number(index), {})
+    entries.get(Number(index))[field] = value
+  }
+
+  return [...entries.entries()]
+    .sort(([a], [b]) => a - b)
+    .filter(([, fields]) => fields.code)
+    .map(([index, fields]) => ({
+      description: fields.desc || `Cheat ${index + 1}`,
+      code: fields.code,
+      enabled: fields.enable === 'true',
+    }))
+}
@@ -0,0 +1,275 @@
+/**
+ * DatFile
+ *
+ * Reader for XML ROM set DATs, in the two flavours ROM managers use:
+ * Logiqx (FBNeo's DATs, `<datafile><game>`) and MAME -listxml
+ * (`<mame><machine>`). Used to tell which game a zip is, what system it
+ * runs on and whether its files are all there — from the zip's CRCs, never
+ * its file name.
+ *
+ *   <game name="sfa3u" cloneof="sfa3" romof="sfa3">
+ *     <description>Street Fighter Alpha 3 (USA 980904)</description>
+ *     <rom name="sz3u.03c" size="524288" crc="e007da2e"/>
+ *     <rom name="sz3.05c" merge="sz3.05c" size="524288" crc="57fd0a40"/>
+ *
+ * A rom with `merge` lives in the parent (or BIOS) set. Split sets leave it
+ * out of the clone's zip, non-merged sets include it; both verify.
+ */
+
+/**
+ * @typedef {object} DatRom
+ * @property {string} name
+ * @property {number} size
+ * @property {string} crc — 8 lowercase hex digits
+ * @property {string | null} merge — name of the same rom in the parent / BIOS set
+ * @property {boolean} nodump — no known good dump exists; never checked
+ */
+
+/**
+ * @typedef {object} DatGame
+ * @property {string} name — ROM set name, e.g. 'sfa3u'
+ * @property {string} description
+ * @property {string} year
+ * @property {string} manufacturer
+ * @property {string | null} cloneOf
+ * @property {string | null} romOf — set the merged roms come from (parent or BIOS)
+ * @property {boolean} isBios
+ * @property {string | null} sourceFile — MAME driver source, e.g. 'capcom/cps2.cpp'
+ * @property {DatRom[]} roms
+ */
+
+/**
+ * @typedef {object} Dat
+ * @property {string} name — DAT title from its header
+ * @property {Map<string, DatGame>} games
+ * @property {Map<string, Set<string>>} gamesByRom — `${crc}:${size}` → set names using it
+ */
+
+/**
+ * @typedef {object} MissingRom
+ * @property {string} name
+ * @property {string} crc
+ * @property {number} size
+ * @property {string} from — set the rom belongs in: the game itself, its parent or its BIOS
+ */
+
+/**
+ * @typedef {object} RomSetReport
+ * @property {DatGame} game
+ * @property {string} system — CORE_MAP key the game runs on
+ * @property {string | null} parent — parent set for clones
+ * @property {string | null} bios — BIOS set, e.g. 'neogeo'
+ * @property {MissingRom[]} missing
+ * @property {MissingRom[]} fromBios — BIOS roms not in the zips given. A
+ *   separate requirement, not counted as missing: a clone's companion zip is
+ *   normally its parent, and the BIOS is often set up apart from the game.
+ * @property {{ name: string, expected: string, actual: string }[]} badCrc
+ * @property {boolean} ok — nothing missing and no bad CRCs
+ */
+
+/**
+ * @param {string} text — DAT file contents
+ * @returns {Dat}
+ */
+export function parseDatFile(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.querySelector('parsererror')) throw new Error('not an XML DAT file')
+
+  const root = doc.documentElement
+  const name = root.querySelector(':scope > header > name')?.textContent.trim()
+    || (root.getAttribute('build') ? `MAME ${root.getAttribute('build')}` : 'Unnamed DAT')
+
+  /** @type {Map<string, DatGame>} */
+  const games = new Map()
+  /** @type {Map<string, Set<string>>} */
+  const gamesByRom = new Map()
+
+  for (const el of root.querySelectorAll(':scope > game, :scope > machine')) {
+    const roms = [...el.querySelectorAll(':scope > rom')]
+      .filter((rom) => rom.getAttribute('crc') || rom.getAttribute('status') === 'nodump')
+      .map((rom) => ({
+        name: rom.getAttribute('name'),
+        size: Number(rom.getAttribute('size') ?? 0),
+        crc: (rom.getAttribute('crc') ?? '').toLowerCase().padStart(8, '0'),
+        merge: rom.getAttribute('merge'),
+        nodump: rom.getAttribute('status') === 'nodump',
+      }))
+
+    const game = {
+      name: el.getAttribute('name'),
+      description: el.querySelector(':scope > description')?.textContent.trim() ?? '',
+      year: el.querySelector(':scope > year')?.textContent.trim() ?? '',
+      manufacturer: el.querySelector(':scope > manufacturer')?.textContent.trim() ?? '',
+      cloneOf: el.getAttribute('cloneof'),
+      romOf: el.getAttribute('romof'),
+      isBios: el.getAttribute('isbios') === 'yes',
+      sourceFile: el.getAttribute('sourcefile'),
+      roms,
+    }
+    games.set(game.name, game)
+
+    for (const rom of roms) {
+      if (rom.nodump) continue
+      const key = romKey(rom)
+      if (!gamesByRom.has(key)) gamesByRom.set(key, new Set())
+      gamesByRom.get(key).add(game.name)
+    }
+  }
+
+  if (games.size === 0) throw new Error('no games found in DAT file')
+  return { name, games, gamesByRom }
+}
+
+/**
+ * Work out which game a zip holds from its CRCs. The game with the most
+ * of its roms in the zip wins, then the one missing fewest. A merged set
+ * (parent zip that also carries its clones' roms) is reported as the parent,
+ * and a BIOS zip as the BIOS.
+ *
+ * @param {Dat} dat
+ * @param {import('./ZipDirectory.js').ZipEntry[]} entries
+ * @returns {DatGame | null} null if no rom in the zip is in the DAT
+ */
+export function identifyRomSet(dat, entries) {
+  const present = new Set(entries.map(romKey))
+  const candidates = new Set()
+  for (const key of present) {
+    for (const name of dat.gamesByRom.get(key) ?? []) candidates.add(name)
+  }
+
+  let best = null
+  let bestMatched = 0
+  let bestMissing = 0
+  for (const name of candidates) {
+    const game = dat.games.get(name)
+    const roms = game.roms.filter((rom) => !rom.nodump)
+    const matched = roms.filter((rom) => present.has(romKey(rom))).length
+    const missing = roms.length - matched
+    const better = matched > bestMatched
+      || (matched === bestMatched && missing < bestMissing)
+      || (matched === bestMatched && missing === bestMissing && best?.cloneOf && !game.cloneOf)
+    if (better) {
+      best = game
+      bestMatched = matched
+      bestMissing = missing
+    }
+  }
+
+  const parent = best?.cloneOf ? dat.games.get(best.cloneOf) : null
+  if (parent && parent.roms.every((rom) => rom.nodump || rom.merge || present.has(romKey(rom)))) return parent
+  return best
+}
+
+/**
+ * Check a zip (and the parent or BIOS zip given with it) against a game's
+ * rom list. Roms are found by name, or by CRC if they were renamed — the
+ * cores match on CRC too.
+ *
+ * @param {Dat} dat
+ * @param {DatGame} game
+ * @param {import('./ZipDirectory.js').ZipEntry[]} entries
+ * @param {import('./ZipDirectory.js').ZipEntry[]} [parentEntries] — the parent / BIOS zip, if one was chosen
+ * @returns {RomSetReport}
+ */
+export function verifyRomSet(dat, game, entries, parentEntries = []) {
+  const bios = biosOf(dat, game)
+  /** @type {MissingRom[]} */
+  const missing = []
+  /** @type {MissingRom[]} */
+  const fromBios = []
+  const badCrc = []
+
+  for (const rom of game.roms) {
+    if (rom.nodump) continue
+    const byName = findByName(entries, rom.name)
+    if (byName && byName.crc === rom.crc) continue
+    if (entries.some((entry) => romKey(entry) === romKey(rom))) continue
+    if (rom.merge && parentEntries.some((entry) => romKey(entry) === romKey(rom))) continue
+
+    if (byName) {
+      badCrc.push({ name: rom.name, expected: rom.crc, actual: byName.crc })
+    } else {
+      const from = rom.merge ? mergeSource(dat, game, rom) : game.name
+      const list = from === bios ? fromBios : missing
+      list.push({ name: rom.name, crc: rom.crc, size: rom.size, from })
+    }
+  }
+
+  return {
+    game,
+    system: systemOf(dat, game, bios),
+    parent: game.cloneOf,
+    bios,
+    missing,
+    fromBios,
+    badCrc,
+    ok: missing.length === 0 && badCrc.length === 0,
+  }
+}
+
+/**
+ * The CORE_MAP system a game runs on. MAME DATs name the driver; FBNeo's
+ * don't, so Neo Geo is told by its BIOS and CPS2 by its decryption key.
+ * Anything else is left to the general FBNeo core.
+ *
+ * @param {Dat} dat
+ * @param {DatGame} game
+ * @param {string | null} bios
+ * @returns {string}
+ */
+function systemOf(dat, game, bios) {
+  const source = game.sourceFile ?? (game.cloneOf && dat.games.get(game.cloneOf)?.sourceFile) ?? ''
+  if (/\bcps2\b/.test(source)) return 'cps2'
+  if (/\bcps1\b/.test(source)) return 'cps1'
+  if (/\bneogeo\b/.test(source) || bios === 'neogeo') return 'neo'
+  if (game.roms.some((rom) => rom.name.toLowerCase().endsWith('.key'))) return 'cps2'
+  return 'fbneo'
+}
+
+/**
+ * @param {Dat} dat
+ * @param {DatGame} game
+ * @returns {string | null} The BIOS set at the end of the game's romof chain
+ */
+function biosOf(dat, game) {
+  const seen = new Set()
+  for (let name = game.romOf; name && !seen.has(name); name = dat.games.get(name)?.romOf) {
+    seen.add(name)
+    if (dat.games.get(name)?.isBios) return name
+  }
+  return null
+}
+
+/**
+ * The set along the romof chain that actually holds a merged rom.
+ * @param {Dat} dat
+ * @param {DatGame} game
+ * @param {DatRom} rom
+ * @returns {string}
+ */
+function mergeSource(dat, game, rom) {
+  const seen = new Set()
+  let source = game.romOf ?? game.name
+  for (let name = game.romOf; name && !seen.has(name); name = dat.games.get(name)?.romOf) {
+    seen.add(name)
+    const holder = dat.games.get(name)
+    if (!holder) break
+    source = name
+    if (holder.roms.some((r) => r.name === rom.merge && !r.merge)) break
+  }
+  return source
+}
+
+/**
+ * @param {import('./ZipDirectory.js').ZipEntry[]} entries
+ * @param {string} name
+ */
+function findByName(entries, name) {
+  const wanted = name.toLowerCase()
+  return entries.find((entry) => entry.name.split('/').pop().toLowerCase() === wanted)
+}
+
+/** @param {{ crc: string, size: number }} rom */
+function romKey(rom) {
+  return `${rom.crc}:${rom.size}`
+}
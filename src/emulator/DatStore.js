@@ -0,0 +1,50 @@
+/**
+ * DatStore
+ *
+ * IndexedDB persistence for the imported ROM set DAT. A full FBNeo DAT is
+ * several megabytes of XML — too big for localStorage — so the raw text is
+ * kept here and parsed again (parseDatFile) when the page needs it. One DAT
+ * is kept at a time; importing another replaces it.
+ */
+
+import { openDatabase, request, done } from './IndexedDB.js'
+
+const DB_NAME = '3d-arcade-dats'
+const DB_VERSION = 1
+const STORE = 'dats'
+const CURRENT = 'current'
+
+/**
+ * @typedef {object} DatRecord
+ * @property {string} fileName — the imported file's name
+ * @property {string} text — DAT XML
+ * @property {number} importedAt — epoch ms
+ */
+
+export class DatStore {
+  /** @type {Promise<IDBDatabase> | null} */
+  #db = null
+
+  /** @returns {Promise<DatRecord | undefined>} */
+  async get() {
+    const db = await this.#open()
+    return request(db.transaction(STORE).objectStore(STORE).get(CURRENT))
+  }
+
+  /**
+   * @param {DatRecord} record
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    const db = await this.#open()
+    const tx = db.transaction(STORE, 'readwrite')
+    tx.objectStore(STORE).put(record, CURRENT)
+    await done(tx)
+  }
+
+  /** @returns {Promise<IDBDatabase>} */
+  #open() {
+    this.#db ??= openDatabase(DB_NAME, DB_VERSION, (db) => db.createObjectStore(STORE))
+    return this.#db
+  }
+}
@@ -6,11 +6,115 @@
  * Canvas strategy:
  *   - Before game starts: outputCanvas returns a blank 384×224 placeholder so
  *     ScreenMesh has something to reference at init time.
- *   - After EJS_onGameStart: outputCanvas returns window.EJS_emulator.canvas
- *     directly. SceneManager swaps the texture.image to this canvas and sets
- *     needsUpdate = true each frame. No intermediate blit needed — Three.js
- *     reads from the EJS WebGL canvas in the same RAF cycle that EJS renders,
- *     before the GPU presents the frame.
+ *   - After the 'start' event: outputCanvas returns window.EJS_emulator.canvas
+ *     directly. SceneManager swaps the texture.image to this canvas and
+ *     uploads it (renderer.initTexture) whenever frameNumber has moved since
+ *     the last upload, so paused games and fast displays don't re-send the
+ *     same frame. No intermediate blit needed — Three.js reads from the EJS
+ *     WebGL canvas in the same RAF cycle that EJS renders, before the GPU
+ *     presents the frame.
+ *
+ * Lifecycle:
+ *   The EmulatorJS scripts are loaded once per page and EmulatorJS is
+ *   constructed directly (not through loader.js, which can only run once).
+ *   unload() tears a game down completely so loadROM() can start another
+ *   without a page reload; loadROM() calls it itself if a game is running.
+ *   .7z and .rar sets are repacked as zips first (toZip()), since the FBNeo
+ *   cores only open zips.
+ *
+ * Save states:
+ *   Named slots per game (ROM set name) live in IndexedDB via SaveStateStore.
+ *   Each slot keeps the core state, a thumbnail, a timestamp and the play time
+ *   at save. Play time counts only while the game is running (not paused).
+ *   Slots can be exported as self-describing .arcstate files (StateFile) and
+ *   imported back; imports made with another core or ROM set are refused,
+ *   and a different core build only warns.
+ *
+ * Rewind:
+ *   RetroArch only allocates its rewind buffer if rewind_enable is set in
+ *   retroarch.cfg at boot, so rewind must be switched on before loadROM.
+ *   Buffer size and granularity are appended to the generated cfg; the
+ *   granularity can also be changed live. While rewinding, SceneManager
+ *   drives the CRT shader's uRewind cue from isRewinding.
+ *
+ * Speed:
+ *   Fast-forward and slow motion each have a held and a toggled form. A held
+ *   speed wins while held, then the toggled speed (or normal) comes back.
+ *   The two are exclusive; ratios persist in localStorage and apply live.
+ *   'speed-change' lets the UI follow along.
+ *
+ * Cheats:
+ *   Per-game cheat lists (ROM set name) persist in a PerGameStore. The whole
+ *   list is re-sent to the core (reset_cheat + set_cheat per enabled entry)
+ *   at game start and after every edit, so core indices always match the
+ *   list order. 'cheats-change' lets the HUD flag a cheating session.
+ *
+ * Audio:
+ *   One audio state for the whole front end: master volume, mute, the
+ *   volume of room ambience, and how far sound ducks while the game is
+ *   paused or the tab is hidden or unfocused. It persists in localStorage.
+ *   Game volume is set on the core's master gain (audioOutput), so
+ *   EmulatorJS's own per-source volume stays at 1. Room ambience has its
+ *   own output (ambienceOutput): a gain node on an AudioContext that
+ *   outlives games, held at ambientGain, for the scene to connect its
+ *   sounds to.
+ *
+ * Page activity:
+ *   The one place that follows the tab being hidden and the window losing
+ *   focus. Besides ducking sound, it emits 'page-activity' so auto-pause
+ *   and InputRouter's release of held input work from the same state.
+ *
+ * Watchdog:
+ *   While a game runs, a timer checks that the frame count
+ *   (GameManager.getFrameNum) keeps moving and listens for uncaught errors.
+ *   No new frame for STALL_TIMEOUT_MS while the game is running and the tab
+ *   is visible is a stall; a WebAssembly trap or Emscripten abort is a
+ *   crash straight away. Either logs a diagnostic report and emits 'stall';
+ *   frames moving again after a stall emit 'stall-cleared', and keepWaiting()
+ *   re-arms the timeout for another report. The game is
+ *   autosaved into the AUTOSAVE_SLOT slot every AUTOSAVE_INTERVAL_MS of play
+ *   while frames are moving, so recover() can reload the core and pick up
+ *   from there. A core spinning inside WASM blocks the main thread — the
+ *   timer included — so only stops and crashes can be caught this way, not
+ *   an endless loop.
+ *
+ * Core options:
+ *   DIP switches and core options are read from the running core and
+ *   applied live with setVariable. Values the user changed are stored per
+ *   game (PerGameStore) and handed to EmulatorJS as EJS_defaultOptions,
+ *   which it writes into the core's options file before boot — so options
+ *   the core only reads at start-up (e.g. Neo Geo BIOS mode) work too.
+ *   EmulatorJS's own settings storage is disabled so it can't override them.
+ *
+ * Events:
+ *   EmulatorBridge is an EventTarget, so scene and UI code can follow the
+ *   emulator without reaching into window.EJS_emulator. Every event is a
+ *   CustomEvent; `detail` is listed after the name.
+ *     loading-progress  { message, percent } — boot stage text as EmulatorJS
+ *                       shows it; percent is null when it gives none
+ *     ready             { gameName, systemType } — EmulatorJS is up and the
+ *                       core is downloading
+ *     game-start        { gameName, systemType, width, height } — the game is
+ *                       running and outputCanvas is the live game canvas
+ *     resolution-change { width, height } — the game canvas changed size
+ *                       after game-start
+ *     state-saved       { game, slot }
+ *     state-loaded      { game, slot, imported } — imported for .arcstate files
+ *     paused / resumed  {}
+ *     speed-change      { mode, multiplier }
+ *     cheats-change     { cheats, active }
+ *     audio-change      { settings, ducked, gameGain, ambientGain } — gains
+ *                       are what plays now, after mute and ducking
+ *     error             { message, error } — the game failed to load; the
+ *                       pending loadROM() rejects with the same error
+ *     stall             { report, text } — the watchdog caught a stall or a
+ *                       crash; text is the report formatted for copying
+ *     stall-cleared     {} — frames are moving again after a stall
+ *     page-activity     { hidden, inactive } — the tab was hidden or shown,
+ *                       or the window lost or gained focus; inactive is
+ *                       hidden or unfocused
+ *   Failures of individual calls (saveState(), importState(), …) are thrown
+ *   to the caller instead.
  *
  * Core map (EmulatorJS core names):
  *   cps1 → fbalpha2012_cps1
@@ -18,6 +122,144 @@
  *   neo  → fbneo
  */
 
+import { SaveStateStore } from './SaveStateStore.js';
+import { encodeStateFile, decodeStateFile, STATE_FILE_EXTENSION } from './StateFile.js';
+import { PerGameStore } from './PerGameStore.js';
+import { parseChtFile } from './ChtFile.js';
+import { archiveFormat, repackAsZip } from './ArchiveConverter.js';
+
+/** Save-state thumbnails are stored at half the native CPS resolution */
+const THUMBNAIL_WIDTH = 192;
+
+const REWIND_STORAGE_KEY = '3d-arcade:rewind';
+
+/**
+ * @typedef {object} RewindConfig
+ * @property {boolean} enabled — allocate the rewind buffer on next load
+ * @property {number} bufferSizeMB — RetroArch rewind_buffer_size; how far back you can go
+ *   depends on how big the game's states are (CPS2 ≈ 20 MB ≈ 1 minute)
+ * @property {number} granularity — frames between rewind snapshots; higher = longer reach, choppier rewind
+ */
+
+/** @type {RewindConfig} */
+const DEFAULT_REWIND_CONFIG = {
+  enabled: true,
+  bufferSizeMB: 20,
+  granularity: 2,
+};
+
+const SPEED_STORAGE_KEY = '3d-arcade:speed';
+
+/** Fast-forward ratios offered in the UI; 0 = as fast as the host can go */
+export const FAST_FORWARD_RATIOS = [1.5, 2, 3, 4, 8, 0];
+
+/** Slow-motion ratios offered in the UI; 2 = half speed */
+export const SLOW_MOTION_RATIOS = [2, 3, 4, 8];
+
+/**
+ * @typedef {'normal' | 'fast' | 'slow'} SpeedMode
+ */
+
+/**
+ * @typedef {object} SpeedRatios
+ * @property {number} fastForwardRatio — RetroArch fastforward_ratio; 0 = unlimited
+ * @property {number} slowMotionRatio — RetroArch slowmotion_ratio; frames are shown this many times longer
+ */
+
+/** @type {SpeedRatios} */
+const DEFAULT_SPEED_RATIOS = {
+  fastForwardRatio: 3,
+  slowMotionRatio: 2,
+};
+
+const AUDIO_STORAGE_KEY = '3d-arcade:audio';
+
+/**
+ * @typedef {object} AudioSettings
+ * @property {number} volume — master game volume, 0–1
+ * @property {boolean} muted — silences game and ambience alike
+ * @property {number} ambientVolume — room ambience volume, 0–1
+ * @property {number} duckVolume — share of the volume kept while paused or
+ *   in the background; 1 leaves sound alone, 0 mutes it
+ */
+
+/** @type {AudioSettings} */
+const DEFAULT_AUDIO_SETTINGS = {
+  volume: 0.5,
+  muted: false,
+  ambientVolume: 0.5,
+  duckVolume: 0.2,
+};
+
+/** Time constant (s) for volume changes, so muting and ducking don't click */
+const AUDIO_RAMP_SECONDS = 0.03;
+
+/** Slot the watchdog autosaves into; it shows up with the named slots */
+export const AUTOSAVE_SLOT = 'AUTOSAVE';
+
+/** Play time between autosaves */
+const AUTOSAVE_INTERVAL_MS = 60_000;
+
+/** How often the watchdog checks that frames are moving */
+const WATCHDOG_INTERVAL_MS = 1000;
+
+/** No new frame for this long while running counts as a stall */
+const STALL_TIMEOUT_MS = 5000;
+
+/**
+ * @typedef {object} DiagnosticReport
+ * @property {'stall' | 'crash'} reason
+ * @property {string} time — ISO timestamp of the report
+ * @property {string | null} game — ROM set name
+ * @property {string | null} system
+ * @property {string | null} core
+ * @property {string | null} coreVersion
+ * @property {string | null} emulatorVersion
+ * @property {number | null} frame — last frame number the core reached
+ * @property {number} msSinceFrame — how long ago that frame was
+ * @property {number} playTimeMs
+ * @property {string | null} error — last uncaught error from the core or EmulatorJS since game start, with stack
+ * @property {number | null} autosavedAt — epoch ms of the autosave recover() would load
+ * @property {string} userAgent
+ */
+
+/**
+ * @typedef {object} CoreOption
+ * @property {string} key — core variable name, e.g. 'fbneo-dipswitch-sfa3-Region'
+ * @property {string} label — display name
+ * @property {boolean} dipSwitch — whether it is one of the game's DIP switches
+ * @property {string[]} values
+ * @property {string} defaultValue
+ * @property {string} value — current value
+ */
+
+const EJS_DATA_PATH = '/emulatorjs/data/';
+
+/**
+ * EmulatorJS scripts, in the order its loader.js loads them (debug build).
+ * loader.js itself can't be reused for a second game: it re-adds these
+ * scripts, and re-running emulator.js redeclares `class EmulatorJS`.
+ */
+const EJS_SCRIPTS = [
+  'emulator.js',
+  'nipplejs.js',
+  'shaders.js',
+  'storage.js',
+  'gamepad.js',
+  'GameManager.js',
+  'socket.io.min.js',
+  'compression.js',
+];
+
+/** Per-instance list of the listeners EmulatorJS registered, for unload() */
+const EJS_LISTENERS = Symbol('EmulatorBridge.ejsListeners');
+
+/** @type {Promise<void> | null} */
+let scriptsLoaded = null;
+
+/** Marks an EJS_GameManager prototype whose getRetroArchCfg we've already wrapped */
+const CFG_PATCHED = Symbol('EmulatorBridge.cfgPatched');
+
 /** @type {Record<string, string>} */
 const CORE_MAP = {
   cps1:  'fbalpha2012_cps1',
@@ -26,63 +268,209 @@ const CORE_MAP = {
   fbneo: 'fbneo',
 };
 
-export class EmulatorBridge {
+export class EmulatorBridge extends EventTarget {
   /** @type {HTMLCanvasElement} Blank placeholder until game starts */
   #placeholderCanvas = null;
 
-  /** @type {HTMLCanvasElement | null} The actual EJS game canvas, set after EJS_onGameStart */
+  /** @type {HTMLCanvasElement | null} The actual EJS game canvas, set after the 'start' event */
   #ejsCanvas = null;
 
   /** @type {boolean} */
   #isReady = false;
 
+  /** @type {string | null} System key (CORE_MAP) of the loaded ROM */
+  #systemType = null;
+
+  /** @type {string | null} ROM set name of the loaded game, e.g. 'sfa3' */
+  #gameName = null;
+
+  /** @type {string | null} EmulatorJS core name of the loaded ROM */
+  #core = null;
+
+  /** @type {Map<string, Promise<string | null>>} Core name → build stamp from its report JSON */
+  #coreVersions = new Map();
+
+  /** @type {SaveStateStore} */
+  #saveStates = new SaveStateStore();
+
+  /** @type {RewindConfig} */
+  #rewindConfig = loadRewindConfig();
+
+  /** @type {boolean} */
+  #isRewinding = false;
+
+  /** @type {SpeedRatios} */
+  #speedRatios = loadSpeedRatios();
+
+  /** @type {SpeedMode} Speed selected with a toggle */
+  #toggledSpeed = 'normal';
+
+  /** @type {SpeedMode | null} Speed held down right now, overriding the toggle */
+  #heldSpeed = null;
+
+  /** @type {SpeedMode} What the core is currently running at */
+  #appliedSpeed = 'normal';
+
+  /** @type {AudioSettings} */
+  #audioSettings = loadAudioSettings();
+
+  /** @type {{ context: AudioContext, node: GainNode } | null} */
+  #ambience = null;
+
+  /** @type {boolean} Whether the tab is hidden */
+  #pageHidden = document.hidden;
+
+  /** @type {boolean} Whether the tab is hidden or the window unfocused */
+  #pageInactive = document.hidden || !document.hasFocus();
+
+  /** @type {PerGameStore<import('./ChtFile.js').Cheat[]>} */
+  #cheatStore = new PerGameStore('3d-arcade:cheats', []);
+
+  /** @type {import('./ChtFile.js').Cheat[]} Cheats for the loaded game */
+  #cheats = [];
+
+  /** @type {PerGameStore<Record<string, string>>} Option key → value the user changed from the core's default */
+  #coreOptionStore = new PerGameStore('3d-arcade:core-options', {});
+
+  /** @type {string} */
+  #containerId;
+
+  /** @type {((err: Error) => void) | null} Rejects the pending loadROM() promise */
+  #rejectLoad = null;
+
+  /** @type {MutationObserver | null} Waits for the EJS canvas to get its game size, then follows resizes */
+  #canvasObserver = null;
+
+  /** @type {MutationObserver | null} Follows EmulatorJS's loading text until the game starts */
+  #loadingObserver = null;
+
+  /** @type {{ width: number, height: number } | null} Game canvas size last reported */
+  #resolution = null;
+
+  /** @type {boolean} */
+  #isPaused = false;
+
+  /** @type {number} Play time banked before the current running stretch */
+  #playTimeMs = 0;
+
+  /** @type {number | null} performance.now() when the game last started running, null while paused */
+  #playStartedAt = null;
+
+  /** @type {{ file: File, systemType: string, parentFile: File | null } | null} Last game loaded, for recover() */
+  #lastLoad = null;
+
+  /** @type {number | null} Watchdog setInterval id while a game runs */
+  #watchdogTimer = null;
+
+  /** @type {number | null} Frame number at the last watchdog check */
+  #lastFrame = null;
+
+  /** @type {number} performance.now() when the frame number last moved */
+  #lastFrameAt = 0;
+
+  /** @type {'stall' | 'crash' | null} What the watchdog has reported since frames last moved */
+  #stalled = null;
+
+  /** @type {string | null} Last uncaught error from the core or EmulatorJS since game start, for the report */
+  #coreError = null;
+
+  /** @type {number} playTimeMs at the last autosave */
+  #autosavedPlayTimeMs = 0;
+
+  /** @type {boolean} */
+  #autosaving = false;
+
   /**
    * @param {string} containerId — ID of the hidden DOM container EmulatorJS renders into
    */
   constructor(containerId) {
+    super();
     if (!document.getElementById(containerId)) {
       throw new Error(`EmulatorBridge: container #${containerId} not found in DOM`);
     }
+    this.#containerId = containerId;
 
     // Placeholder canvas so ScreenMesh has a valid image source before the game loads.
     this.#placeholderCanvas = document.createElement('canvas');
     this.#placeholderCanvas.width = 384;
     this.#placeholderCanvas.height = 224;
+
+    document.addEventListener('visibilitychange', this.#onPageActivity);
+    window.addEventListener('blur', this.#onPageActivity);
+    window.addEventListener('focus', this.#onPageActivity);
   }
 
   /**
-   * Load a ROM file and initialize EmulatorJS.
-   * Resolves when the game actually starts running (EJS_onGameStart).
+   * Load a ROM file and initialize EmulatorJS, unloading any running game
+   * first. Resolves when the game actually starts running ('start' event).
    *
-   * @param {File} file — ROM .zip file from file input
+   * @param {File} file — ROM .zip, .7z or .rar file from file input
    * @param {string} systemType — one of: 'cps1', 'cps2', 'neo'
-   * @param {File | null} parentFile — parent ROM zip for clone ROMs (e.g. mvsc.zip for mvscur1.zip)
+   * @param {File | null} parentFile — parent ROM set for clone ROMs (e.g. mvsc.zip for mvscur1.zip)
    * @returns {Promise<void>}
    */
   async loadROM(file, systemType, parentFile = null) {
+    await this.unload();
+
+    file = await this.toZip(file);
+    if (parentFile) parentFile = await this.toZip(parentFile);
+    this.#lastLoad = { file, systemType, parentFile };
+
     this.#isReady = false;
     this.#ejsCanvas = null;
+    this.#systemType = systemType in CORE_MAP ? systemType : 'cps2';
+    this.#gameName = file.name.replace(/\.[^.]+$/, '');
+    this.#resetSession();
+    this.#cheats = this.#cheatStore.get(this.#gameName);
+    this.#notifyCheats();
 
     const core = CORE_MAP[systemType] ?? 'fbalpha2012_cps2';
+    this.#core = core;
     console.log(`[EmulatorBridge] loadROM — system: ${systemType} → core: ${core}, file: ${file.name}${parentFile ? `, parent: ${parentFile.name}` : ''}`);
 
+    this.#emit('loading-progress', { message: 'Loading emulator…', percent: null });
+    try {
+      await loadEmulatorScripts();
+    } catch (err) {
+      this.#emit('error', { message: err.message, error: err });
+      throw err;
+    }
+
     return new Promise((resolve, reject) => {
-      window.EJS_DEBUG_XX      = true;
-      window.EJS_player        = '#emulator-container';
-      window.EJS_core          = core;
-      window.EJS_gameUrl       = file;
-      window.EJS_gameName      = file.name.replace(/\.[^.]+$/, '');
-      window.EJS_gameParentUrl = parentFile ?? undefined;
-      window.EJS_pathtodata    = '/emulatorjs/data/';
-      window.EJS_startOnLoaded = true;
-      window.EJS_noAutoFocus   = true;
-
-      window.EJS_ready = () => {
-        // EJS_ready fires ~20ms after startButtonClicked, while the WASM core
+      this.#rejectLoad = reject;
+
+      // Debug build of EmulatorJS (unminified src/), with console logging
+      window.EJS_DEBUG_XX = true;
+
+      const emulator = new window.EmulatorJS(`#${this.#containerId}`, {
+        gameUrl: file,
+        dataPath: EJS_DATA_PATH,
+        system: core,
+        gameName: this.#gameName,
+        gameParentUrl: parentFile ?? undefined,
+        startOnLoad: true,
+        noAutoFocus: true,
+        // InputRouter owns keyboard and gamepad input. Empty control maps stop
+        // EmulatorJS from also reading the pads and double-pressing buttons.
+        defaultControllers: { 0: {}, 1: {}, 2: {}, 3: {} },
+        // Saved core options / DIP switches go into the core's options file at
+        // boot. EmulatorJS's own per-game settings would take precedence over
+        // them, and everything it stores is owned by this front end instead.
+        defaultOptions: this.#coreOptionStore.get(this.#gameName),
+        disableLocalStorage: true,
+        // Volume and mute are applied on the core's master gain instead
+        volume: 1,
+        shaders: { ...window.EJS_SHADERS },
+      });
+      window.EJS_emulator = emulator;
+      this.#watchLoadingText(emulator);
+
+      emulator.on('ready', () => {
+        // 'ready' fires ~20ms after startButtonClicked, while the WASM core
         // is still downloading. The canvas element exists but has no WebGL
         // context yet — this is our only window to intercept getContext and
         // force preserveDrawingBuffer:true before emscripten claims the canvas.
-        const ejsCanvas = window.EJS_emulator?.canvas;
+        const ejsCanvas = emulator.canvas;
         if (ejsCanvas) {
           const _getContext = ejsCanvas.getContext.bind(ejsCanvas);
           ejsCanvas.getContext = (type, attrs = {}) => {
@@ -93,54 +481,180 @@ export class EmulatorBridge {
             return _getContext(type, attrs);
           };
         }
-      };
 
-      window.EJS_onGameStart = () => {
-        console.log('[EmulatorBridge] 🎮 EJS_onGameStart fired');
+        // Same window for rewind: GameManager writes retroarch.cfg in its
+        // constructor, after the core download finishes.
+        this.#prepareRewind();
+        this.#emit('ready', { gameName: this.#gameName, systemType: this.#systemType });
+      });
 
-        const ejsCanvas = window.EJS_emulator?.canvas ?? null;
-        if (!ejsCanvas) {
-          console.warn('[EmulatorBridge] ⚠️ No EJS_emulator.canvas found');
-          this.#isReady = true;
-          resolve();
-          return;
-        }
+      emulator.on('start', () => {
+        console.log('[EmulatorBridge] 🎮 game start fired');
+        this.#loadingObserver?.disconnect();
+        this.#loadingObserver = null;
+        this.#applySpeedRatios();
+        this.#applyCheats();
 
-        const markReady = () => {
+        const markReady = (ejsCanvas) => {
           this.#ejsCanvas = ejsCanvas;
-          console.log(`[EmulatorBridge] ✅ game canvas ready: ${ejsCanvas.width}x${ejsCanvas.height}`);
+          this.#resolution = ejsCanvas ? { width: ejsCanvas.width, height: ejsCanvas.height } : null;
           this.#isReady = true;
+          this.#playStartedAt = performance.now();
+          this.#rejectLoad = null;
+          this.#applyAudio();
+          this.#startWatchdog();
           resolve();
+          this.#emit('game-start', {
+            gameName: this.#gameName,
+            systemType: this.#systemType,
+            width: ejsCanvas?.width ?? 0,
+            height: ejsCanvas?.height ?? 0,
+          });
         };
 
-        // EJS_onGameStart fires while the canvas is still at the HTML default
-        // 300×150. The emulator resizes it to actual game resolution shortly after.
+        const ejsCanvas = emulator.canvas ?? null;
+        if (!ejsCanvas) {
+          console.warn('[EmulatorBridge] ⚠️ No EJS_emulator.canvas found');
+          markReady(null);
+          return;
+        }
+
+        // 'start' fires while the canvas is still at the HTML default
+        // 300×150. The emulator resizes it to actual game resolution shortly after
+        // (taller than wide for some vertical games, hence either side).
         // Wait for that resize before handing the canvas to Three.js so the GPU
-        // texture is allocated at the correct size from the start.
-        if (ejsCanvas.width > 300) {
-          markReady();
+        // texture is allocated at the correct size from the start. The same
+        // observer then reports later resizes as 'resolution-change'.
+        const observer = new MutationObserver(() => {
+          if (!this.#isReady) {
+            if (hasGameSize(ejsCanvas)) {
+              console.log(`[EmulatorBridge] ✅ game canvas ready: ${ejsCanvas.width}x${ejsCanvas.height}`);
+              markReady(ejsCanvas);
+            }
+            return;
+          }
+          const { width, height } = ejsCanvas;
+          if (width === 0 || height === 0) return;
+          if (width === this.#resolution.width && height === this.#resolution.height) return;
+          this.#resolution = { width, height };
+          console.log(`[EmulatorBridge] game resolution changed: ${width}x${height}`);
+          this.#emit('resolution-change', { width, height });
+        });
+        observer.observe(ejsCanvas, { attributes: true, attributeFilter: ['width', 'height'] });
+        this.#canvasObserver = observer;
+
+        if (hasGameSize(ejsCanvas)) {
+          console.log(`[EmulatorBridge] ✅ game canvas ready: ${ejsCanvas.width}x${ejsCanvas.height}`);
+          markReady(ejsCanvas);
         } else {
           console.log(`[EmulatorBridge] canvas still at default size (${ejsCanvas.width}x${ejsCanvas.height}), waiting for resize…`);
-          const observer = new MutationObserver(() => {
-            if (ejsCanvas.width > 300) {
-              observer.disconnect();
-              markReady();
-            }
-          });
-          observer.observe(ejsCanvas, { attributes: true, attributeFilter: ['width', 'height'] });
         }
-      };
-
-      window.EJS_onLoadState = () => console.log('[EmulatorBridge] state loaded');
-      window.EJS_onSaveState = () => console.log('[EmulatorBridge] state saved');
+      });
 
-      const script = document.createElement('script');
-      script.src = '/emulatorjs/data/loader.js';
-      script.onerror = () => reject(new Error('[EmulatorBridge] Failed to load /emulatorjs/data/loader.js'));
-      document.head.appendChild(script);
+      emulator.on('loadState', () => console.log('[EmulatorBridge] state loaded'));
+      emulator.on('saveState', () => console.log('[EmulatorBridge] state saved'));
     });
   }
 
+  /**
+   * Repack a .7z or .rar ROM set as a .zip, reporting progress as
+   * 'loading-progress'. Zips (and anything else) come back unchanged.
+   *
+   * @param {File} file
+   * @returns {Promise<File>}
+   */
+  async toZip(file) {
+    const format = await archiveFormat(file);
+    if (format !== '7z' && format !== 'rar') return file;
+
+    const message = `Converting ${file.name}`;
+    this.#emit('loading-progress', { message, percent: 0 });
+    try {
+      await loadEmulatorScripts();
+      const zip = await repackAsZip(file, format, EJS_DATA_PATH, (percent) => {
+        this.#emit('loading-progress', { message: `${message} ${percent}%`, percent });
+      });
+      console.log(`[EmulatorBridge] repacked ${file.name} as ${zip.name} (${zip.size} bytes)`);
+      return zip;
+    } catch (err) {
+      this.#emit('error', { message: err.message, error: err });
+      throw err;
+    }
+  }
+
+  /**
+   * Stop the running game and tear EmulatorJS down: the core's main loop,
+   * audio, WebGL context, DOM, intervals and every listener it registered.
+   * outputCanvas goes back to the placeholder. Safe to call with no game
+   * loaded; a pending loadROM() rejects.
+   *
+   * @returns {Promise<void>}
+   */
+  async unload() {
+    const emulator = window.EJS_emulator;
+    if (!emulator) return;
+    console.log(`[EmulatorBridge] unloading ${this.#gameName ?? 'emulator'}`);
+
+    this.#rejectLoad?.(new Error('[EmulatorBridge] unloaded before the game started'));
+    this.#rejectLoad = null;
+    this.#canvasObserver?.disconnect();
+    this.#canvasObserver = null;
+    this.#loadingObserver?.disconnect();
+    this.#loadingObserver = null;
+    this.#stopWatchdog();
+
+    this.#resetSession();
+    this.#isReady = false;
+    this.#ejsCanvas = null;
+    this.#resolution = null;
+    this.#systemType = null;
+    this.#gameName = null;
+    this.#core = null;
+    this.#cheats = [];
+    this.#notifyCheats();
+    this.#notifySpeed();
+
+    // If the core is still booting, cut the chain before it starts a game
+    // into a detached canvas.
+    emulator.initGameCore = () => {};
+    emulator.startGame = () => {};
+
+    // GameManager's exit handler flushes save RAM, stops the main loop and
+    // aborts the WASM module.
+    if (emulator.gameManager) {
+      try {
+        emulator.callEvent('exit');
+      } catch (err) {
+        console.warn('[EmulatorBridge] core exit failed:', err);
+      }
+    }
+
+    const audioContext = emulator.Module?.AL?.currentCtx?.audioCtx;
+    if (audioContext && audioContext.state !== 'closed') await audioContext.close().catch(() => {});
+
+    const canvas = emulator.canvas;
+    const gl = canvas?.getContext('webgl2') ?? canvas?.getContext('webgl');
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    if (canvas) canvas.width = canvas.height = 0;
+
+    emulator.gamepad?.terminate();
+    clearInterval(emulator.saveSaveInterval);
+    emulator.removeEventListener(emulator[EJS_LISTENERS] ?? []);
+
+    // The core's glue script is injected as a blob: <script> per boot
+    for (const script of document.querySelectorAll('body > script[src^="blob:"]')) {
+      URL.revokeObjectURL(script.src);
+      script.remove();
+    }
+
+    const container = document.getElementById(this.#containerId);
+    container.innerHTML = '';
+    container.classList.remove('ejs_parent');
+    container.removeAttribute('tabindex');
+
+    window.EJS_emulator = undefined;
+  }
+
   /**
    * Returns the canvas Three.js should use as the texture source.
    * Before game start: returns the blank placeholder (so ScreenMesh has a valid source).
@@ -158,11 +672,1022 @@ export class EmulatorBridge {
     return this.#isReady;
   }
 
+  /**
+   * RetroArch's count of video frames the core has produced. It only moves
+   * when there is a new picture on the canvas — not while paused, and
+   * several steps at once during fast-forward — so SceneManager uploads
+   * the texture only when it changes.
+   *
+   * @returns {number | null} null before game start
+   */
+  get frameNumber() {
+    if (!this.#isReady) return null;
+    return window.EJS_emulator?.gameManager?.getFrameNum() ?? null;
+  }
+
+  /**
+   * The running game's picture as the core reports it. RetroArch already
+   * applies the rotation the core asks for, so a vertical (TATE) game's
+   * picture arrives upright — its aspect is below 1 — drawn in the middle
+   * of the canvas with black bars either side when the canvas is wider.
+   *
+   * @returns {{ width: number, height: number, aspect: number, portrait: boolean } | null} null before game start
+   */
+  get videoGeometry() {
+    const gameManager = window.EJS_emulator?.gameManager;
+    if (!this.#isReady || !gameManager) return null;
+    const width = gameManager.getVideoDimensions('width') || this.#ejsCanvas?.width || 0;
+    const height = gameManager.getVideoDimensions('height') || this.#ejsCanvas?.height || 0;
+    const aspect = gameManager.getVideoDimensions('aspect') || (height ? width / height : 4 / 3);
+    return { width, height, aspect, portrait: aspect < 1 };
+  }
+
+  /**
+   * The core's audio output: Emscripten's OpenAL context and the master
+   * gain node every AL source mixes into, which EmulatorJS connects straight
+   * to the speakers. CabinetAudio re-routes it into the 3D scene. A new
+   * context is created for every game and closed by unload().
+   *
+   * @returns {{ context: AudioContext, node: GainNode } | null} null until the core has opened audio
+   */
+  get audioOutput() {
+    const al = window.EJS_emulator?.Module?.AL?.currentCtx;
+    if (!al?.audioCtx || !al.gain || al.audioCtx.state === 'closed') return null;
+    return { context: al.audioCtx, node: al.gain };
+  }
+
+  /**
+   * Where room ambience plays: a gain node wired to the speakers, which the
+   * scene connects its sources to. It has its own AudioContext, made on
+   * first use and kept across games, and its gain follows ambientGain.
+   * Browsers start the context suspended until the page has had a click or
+   * key press, so it resumes on the first one.
+   *
+   * @returns {{ context: AudioContext, node: GainNode }}
+   */
+  get ambienceOutput() {
+    if (!this.#ambience) {
+      const context = new AudioContext();
+      const node = context.createGain();
+      node.gain.value = this.ambientGain;
+      node.connect(context.destination);
+      if (context.state === 'suspended') {
+        const resume = () => {
+          context.resume();
+          window.removeEventListener('pointerdown', resume);
+          window.removeEventListener('keydown', resume);
+        };
+        window.addEventListener('pointerdown', resume);
+        window.addEventListener('keydown', resume);
+      }
+      this.#ambience = { context, node };
+    }
+    return this.#ambience;
+  }
+
+  /**
+   * System key of the loaded ROM (a CORE_MAP key). InputRouter uses this to
+   * pick the matching button layout.
+   *
+   * @returns {string | null}
+   */
+  get systemType() {
+    return this.#systemType;
+  }
+
+  /**
+   * Forward a single input change to the running core.
+   * Thin wrapper over GameManager.simulateInput — index is a libretro
+   * RetroPad button id (0 = B, 1 = Y, 2 = Select, 3 = Start, 4–7 = D-pad,
+   * 8 = A, 9 = X, 10 = L, 11 = R).
+   *
+   * @param {number} player — 0-based emulator port
+   * @param {number} index — RetroPad button id
+   * @param {number} value — 1 pressed, 0 released
+   */
+  simulateInput(player, index, value) {
+    window.EJS_emulator?.gameManager?.simulateInput(player, index, value);
+  }
+
+  /** @returns {string | null} ROM set name of the loaded game */
+  get gameName() {
+    return this.#gameName;
+  }
+
+  /** @returns {number} Milliseconds the current game has been running, excluding pauses */
+  get playTimeMs() {
+    const running = this.#playStartedAt === null ? 0 : performance.now() - this.#playStartedAt;
+    return this.#playTimeMs + running;
+  }
+
+  /** @returns {boolean} Whether pause() has been called since the game started or last resumed */
+  get isPaused() {
+    return this.#isPaused;
+  }
+
   pause() {
     window.EJS_emulator?.pause?.();
+    if (this.#playStartedAt !== null) {
+      this.#playTimeMs += performance.now() - this.#playStartedAt;
+      this.#playStartedAt = null;
+    }
+    if (this.#isReady && !this.#isPaused) {
+      this.#isPaused = true;
+      this.#emit('paused', {});
+      this.#applyAudio();
+    }
   }
 
   resume() {
     window.EJS_emulator?.play?.();
+    if (this.#isReady && this.#playStartedAt === null) {
+      this.#playStartedAt = performance.now();
+    }
+    if (this.#isPaused) {
+      this.#isPaused = false;
+      this.#emit('resumed', {});
+      this.#applyAudio();
+    }
+  }
+
+  /** @returns {RewindConfig} */
+  get rewindConfig() {
+    return { ...this.#rewindConfig };
+  }
+
+  /**
+   * Update and persist the rewind settings. `enabled` and `bufferSizeMB`
+   * take effect on the next loadROM; `granularity` applies immediately.
+   *
+   * @param {Partial<RewindConfig>} config
+   */
+  setRewindConfig(config) {
+    this.#rewindConfig = { ...this.#rewindConfig, ...config };
+    try {
+      localStorage.setItem(REWIND_STORAGE_KEY, JSON.stringify(this.#rewindConfig));
+    } catch (err) {
+      console.warn('[EmulatorBridge] failed to save rewind config:', err);
+    }
+
+    if (this.#isReady && window.EJS_emulator?.rewindEnabled) {
+      window.EJS_emulator.gameManager?.setRewindGranularity(this.#rewindConfig.granularity);
+    }
+  }
+
+  /** @returns {boolean} Whether the running game was booted with a rewind buffer */
+  get rewindAvailable() {
+    return this.#isReady && !!window.EJS_emulator?.rewindEnabled;
+  }
+
+  /** @returns {boolean} Whether rewind is currently held */
+  get isRewinding() {
+    return this.#isRewinding;
+  }
+
+  /**
+   * Start or stop rewinding. Ignored if the game was booted without rewind.
+   * @param {boolean} active
+   */
+  setRewinding(active) {
+    if (!this.rewindAvailable || active === this.#isRewinding) return;
+    window.EJS_emulator.gameManager.functions.toggleRewind(active ? 1 : 0);
+    this.#isRewinding = active;
+  }
+
+  /** @returns {SpeedMode} What the game is running at now */
+  get speedMode() {
+    return this.#heldSpeed ?? this.#toggledSpeed;
+  }
+
+  /**
+   * Current game speed as a multiple of normal speed. Unlimited
+   * fast-forward reports Infinity.
+   * @returns {number}
+   */
+  get speedMultiplier() {
+    switch (this.speedMode) {
+      case 'fast': return this.#speedRatios.fastForwardRatio || Infinity;
+      case 'slow': return 1 / this.#speedRatios.slowMotionRatio;
+      default: return 1;
+    }
+  }
+
+  /** @returns {SpeedRatios} */
+  get speedRatios() {
+    return { ...this.#speedRatios };
+  }
+
+  /**
+   * Change and persist the fast-forward / slow-motion ratios. Applies to the
+   * running game immediately.
+   * @param {Partial<SpeedRatios>} ratios
+   */
+  setSpeedRatios(ratios) {
+    this.#speedRatios = { ...this.#speedRatios, ...ratios };
+    try {
+      localStorage.setItem(SPEED_STORAGE_KEY, JSON.stringify(this.#speedRatios));
+    } catch (err) {
+      console.warn('[EmulatorBridge] failed to save speed ratios:', err);
+    }
+    this.#applySpeedRatios();
+    this.#notifySpeed();
+  }
+
+  /**
+   * Hold a speed: it applies until released, then the toggled speed returns.
+   * @param {'fast' | 'slow'} mode
+   * @param {boolean} active
+   */
+  holdSpeed(mode, active) {
+    if (active) this.#heldSpeed = mode;
+    else if (this.#heldSpeed === mode) this.#heldSpeed = null;
+    this.#applySpeed();
+  }
+
+  /**
+   * Toggle a speed on, or back to normal if it was already on.
+   * @param {'fast' | 'slow'} mode
+   */
+  toggleSpeed(mode) {
+    this.#toggledSpeed = this.#toggledSpeed === mode ? 'normal' : mode;
+    this.#applySpeed();
+  }
+
+  /** Drop any held or toggled speed. */
+  resetSpeed() {
+    this.#toggledSpeed = 'normal';
+    this.#heldSpeed = null;
+    this.#applySpeed();
+  }
+
+  /** @returns {AudioSettings} */
+  get audioSettings() {
+    return { ...this.#audioSettings };
+  }
+
+  /**
+   * Change and persist the audio settings. Applies immediately.
+   * @param {Partial<AudioSettings>} settings
+   */
+  setAudioSettings(settings) {
+    this.#audioSettings = { ...this.#audioSettings, ...settings };
+    try {
+      localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(this.#audioSettings));
+    } catch (err) {
+      console.warn('[EmulatorBridge] failed to save audio settings:', err);
+    }
+    this.#applyAudio();
+  }
+
+  toggleMute() {
+    this.setAudioSettings({ muted: !this.#audioSettings.muted });
+  }
+
+  /** @returns {boolean} Whether sound is ducked: the game is paused, or the page is in the background */
+  get isDucked() {
+    return this.#isPaused || this.#pageInactive;
+  }
+
+  /** @returns {number} Gain the game plays at now, after mute and ducking */
+  get gameGain() {
+    return this.#effectiveGain(this.#audioSettings.volume);
+  }
+
+  /** @returns {number} Gain room ambience should play at now, after mute and ducking */
+  get ambientGain() {
+    return this.#effectiveGain(this.#audioSettings.ambientVolume);
+  }
+
+  /** @returns {import('./ChtFile.js').Cheat[]} The loaded game's cheats (copies) */
+  get cheats() {
+    return this.#cheats.map((cheat) => ({ ...cheat }));
+  }
+
+  /** @returns {number} How many cheats are switched on */
+  get activeCheatCount() {
+    return this.#cheats.filter((cheat) => cheat.enabled).length;
+  }
+
+  /**
+   * Replace the loaded game's cheat list, persist it and apply it live.
+   * Add, edit, toggle and delete all go through here.
+   * @param {import('./ChtFile.js').Cheat[]} cheats
+   */
+  setCheats(cheats) {
+    if (!this.#gameName) throw new Error('no game loaded');
+    this.#cheats = cheats.map(({ description, code, enabled }) => ({ description, code, enabled }));
+    this.#cheatStore.put(this.#gameName, this.#cheats);
+    this.#applyCheats();
+    this.#notifyCheats();
+  }
+
+  /**
+   * Append the code cheats from a RetroArch .cht file to the loaded game's
+   * list. Imported cheats start switched off, whatever the file says.
+   * @param {File} file
+   * @returns {Promise<number>} How many cheats were added
+   */
+  async importCheats(file) {
+    const imported = parseChtFile(await file.text()).map((cheat) => ({ ...cheat, enabled: false }));
+    if (imported.length === 0) throw new Error('no code cheats found in file');
+    this.setCheats([...this.#cheats, ...imported]);
+    return imported.length;
+  }
+
+  /**
+   * The running core's options and DIP switches with their current values.
+   * Empty until the game has started.
+   * @returns {CoreOption[]}
+   */
+  getCoreOptions() {
+    const gameManager = window.EJS_emulator?.gameManager;
+    if (!this.#isReady || !gameManager) return [];
+
+    let text = '';
+    try {
+      text = gameManager.getCoreOptions() ?? '';
+    } catch (err) {
+      console.warn('[EmulatorBridge] core did not report its options:', err);
+    }
+    const saved = this.#coreOptionStore.get(this.#gameName);
+    return parseCoreOptions(text).map((option) => ({ ...option, value: saved[option.key] ?? option.defaultValue }));
+  }
+
+  /**
+   * Set a core option on the running core and remember it for this game.
+   * Choosing the default value forgets the override.
+   * @param {string} key
+   * @param {string} value
+   */
+  setCoreOption(key, value) {
+    const option = this.getCoreOptions().find((o) => o.key === key);
+    if (!option) throw new Error(`unknown core option: ${key}`);
+
+    window.EJS_emulator.gameManager.setVariable(key, value);
+    const saved = this.#coreOptionStore.get(this.#gameName);
+    if (value === option.defaultValue) delete saved[key];
+    else saved[key] = value;
+    this.#coreOptionStore.put(this.#gameName, saved);
+  }
+
+  /** Put every overridden option back to its default and forget the overrides. */
+  resetCoreOptions() {
+    for (const option of this.getCoreOptions()) {
+      if (option.value !== option.defaultValue) window.EJS_emulator.gameManager.setVariable(option.key, option.defaultValue);
+    }
+    if (this.#gameName) this.#coreOptionStore.put(this.#gameName, {});
+  }
+
+  /** Soft-reset the running game, like the cabinet's reset button. */
+  restart() {
+    this.#requireGameManager('restart').restart();
+  }
+
+  /**
+   * Reload the core and the last game loaded, then restore its autosave if
+   * it has one — the way out after a stall or crash. The game restarts from
+   * power-on otherwise. Rejects like loadROM() if the game doesn't start.
+   *
+   * @returns {Promise<boolean>} Whether the autosave was restored
+   */
+  async recover() {
+    const last = this.#lastLoad;
+    if (!last) throw new Error('[EmulatorBridge] recover: no game to reload');
+    console.log(`[EmulatorBridge] recovering ${last.file.name}`);
+
+    await this.loadROM(last.file, last.systemType, last.parentFile);
+    if (!await this.#saveStates.get(this.#gameName, AUTOSAVE_SLOT)) return false;
+    await this.loadState(AUTOSAVE_SLOT);
+    return true;
+  }
+
+  /**
+   * Dismiss a stall report and give the core another STALL_TIMEOUT_MS. If
+   * frames still haven't moved by then, 'stall' is emitted again. Crashes
+   * can't be waited out and stay reported.
+   */
+  keepWaiting() {
+    if (this.#stalled !== 'stall') return;
+    this.#stalled = null;
+    this.#lastFrameAt = performance.now();
+    console.log('[EmulatorBridge] watchdog: waiting on the stalled core');
+  }
+
+  /**
+   * Save slots for the loaded game, newest first.
+   * @returns {Promise<import('./SaveStateStore.js').SaveStateRecord[]>}
+   */
+  async listSaveStates() {
+    if (!this.#gameName) return [];
+    return this.#saveStates.list(this.#gameName);
+  }
+
+  /**
+   * Save the running game into a named slot, overwriting it if it exists.
+   *
+   * @param {string} slot — slot name, unique per game
+   * @returns {Promise<void>}
+   */
+  async saveState(slot) {
+    const gameManager = this.#requireGameManager('saveState');
+    const state = gameManager.getState();
+    const thumbnail = await this.#captureThumbnail();
+
+    await this.#saveStates.put({
+      game: this.#gameName,
+      slot,
+      state,
+      thumbnail,
+      savedAt: Date.now(),
+      playTimeMs: this.playTimeMs,
+    });
+    console.log(`[EmulatorBridge] state saved — ${this.#gameName} / ${slot}`);
+    this.#emit('state-saved', { game: this.#gameName, slot });
+  }
+
+  /**
+   * Restore a named slot. Play time jumps to the slot's play time so it keeps
+   * measuring time spent in that save's timeline.
+   *
+   * @param {string} slot
+   * @returns {Promise<void>}
+   */
+  async loadState(slot) {
+    const gameManager = this.#requireGameManager('loadState');
+    const record = await this.#saveStates.get(this.#gameName, slot);
+    if (!record) {
+      throw new Error(`[EmulatorBridge] no save state "${slot}" for ${this.#gameName}`);
+    }
+
+    gameManager.loadState(record.state);
+    this.#playTimeMs = record.playTimeMs;
+    // Play time jumps to the state's; the next autosave is an interval from there
+    this.#autosavedPlayTimeMs = this.#playTimeMs;
+    if (this.#playStartedAt !== null) this.#playStartedAt = performance.now();
+    console.log(`[EmulatorBridge] state loaded — ${this.#gameName} / ${slot}`);
+    this.#emit('state-loaded', { game: this.#gameName, slot, imported: false });
+  }
+
+  /**
+   * @param {string} slot
+   * @returns {Promise<void>}
+   */
+  async deleteSaveState(slot) {
+    if (!this.#gameName) return;
+    await this.#saveStates.delete(this.#gameName, slot);
+  }
+
+  /**
+   * Package a slot as a portable state file.
+   *
+   * @param {string} slot
+   * @returns {Promise<{ blob: Blob, filename: string }>}
+   */
+  async exportState(slot) {
+    const record = await this.#saveStates.get(this.#gameName, slot);
+    if (!record) {
+      throw new Error(`[EmulatorBridge] no save state "${slot}" for ${this.#gameName}`);
+    }
+
+    const blob = encodeStateFile({
+      game: this.#gameName,
+      system: this.#systemType,
+      core: this.#core,
+      coreVersion: await this.#getCoreVersion(this.#core),
+      emulatorVersion: window.EJS_emulator?.ejs_version ?? null,
+      slot: record.slot,
+      savedAt: record.savedAt,
+      playTimeMs: record.playTimeMs,
+    }, record.state);
+
+    const safeSlot = slot.replace(/[^\w.-]+/g, '_');
+    return { blob, filename: `${this.#gameName}-${safeSlot}${STATE_FILE_EXTENSION}` };
+  }
+
+  /**
+   * Load a state file into the running game.
+   * Refuses files from a different core or ROM set — the core would either
+   * reject the state or crash on it. A different core build is allowed but
+   * reported, since libretro state layouts usually survive minor rebuilds.
+   *
+   * @param {File | Blob} file
+   * @returns {Promise<string[]>} warnings about the load (empty if none)
+   */
+  async importState(file) {
+    const gameManager = this.#requireGameManager('importState');
+    const { header, state } = decodeStateFile(await file.arrayBuffer());
+
+    if (header.core !== this.#core) {
+      throw new Error(`state was made with core ${header.core}, but ${this.#core} is running`);
+    }
+    if (header.game !== this.#gameName) {
+      throw new Error(`state is for ROM set ${header.game}, but ${this.#gameName} is loaded`);
+    }
+
+    const warnings = [];
+    const coreVersion = await this.#getCoreVersion(this.#core);
+    if (header.coreVersion && coreVersion && header.coreVersion !== coreVersion) {
+      warnings.push(`state was made with core build ${header.coreVersion}, running ${coreVersion}`);
+    }
+    const emulatorVersion = window.EJS_emulator?.ejs_version ?? null;
+    if (header.emulatorVersion && emulatorVersion && header.emulatorVersion !== emulatorVersion) {
+      warnings.push(`state was made with EmulatorJS ${header.emulatorVersion}, running ${emulatorVersion}`);
+    }
+
+    gameManager.loadState(state);
+    this.#playTimeMs = header.playTimeMs ?? 0;
+    this.#autosavedPlayTimeMs = this.#playTimeMs;
+    if (this.#playStartedAt !== null) this.#playStartedAt = performance.now();
+    console.log(`[EmulatorBridge] state imported — ${header.game} / ${header.slot}`, warnings);
+    this.#emit('state-loaded', { game: header.game, slot: header.slot, imported: true });
+    return warnings;
+  }
+
+  /**
+   * Build stamp of a core, read from the report JSON each @emulatorjs/core-*
+   * package ships, copied next to the core data (cores/reports/<core>.json).
+   * Null when the report is missing — version checks are then skipped.
+   *
+   * @param {string} core
+   * @returns {Promise<string | null>}
+   */
+  #getCoreVersion(core) {
+    if (!this.#coreVersions.has(core)) {
+      this.#coreVersions.set(core, fetch(`${EJS_DATA_PATH}cores/reports/${core}.json`)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((report) => report?.buildStart ?? null)
+        .catch(() => null));
+    }
+    return this.#coreVersions.get(core);
+  }
+
+  /**
+   * Turn on EmulatorJS rewind and append our buffer size / granularity to the
+   * retroarch.cfg GameManager generates. Called on 'ready', before the
+   * GameManager exists.
+   */
+  #prepareRewind() {
+    const emulator = window.EJS_emulator;
+    if (!emulator) return;
+    emulator.rewindEnabled = this.#rewindConfig.enabled;
+
+    const proto = window.EJS_GameManager?.prototype;
+    if (!proto || proto[CFG_PATCHED]) return;
+    const getRetroArchCfg = proto.getRetroArchCfg;
+    const bridge = this;
+    proto.getRetroArchCfg = function () {
+      let cfg = getRetroArchCfg.call(this);
+      if (this.EJS.rewindEnabled) {
+        // Later keys win in retroarch.cfg, overriding EJS's fixed granularity of 6
+        cfg += `rewind_buffer_size = ${bridge.#rewindConfig.bufferSizeMB}\n`;
+        cfg += `rewind_granularity = ${bridge.#rewindConfig.granularity}\n`;
+      }
+      return cfg;
+    };
+    proto[CFG_PATCHED] = true;
+  }
+
+  /** Reset per-game session state (play time, rewind, speed). */
+  #resetSession() {
+    this.#playTimeMs = 0;
+    this.#playStartedAt = null;
+    this.#isRewinding = false;
+    this.#toggledSpeed = 'normal';
+    this.#heldSpeed = null;
+    this.#appliedSpeed = 'normal';
+    this.#isPaused = false;
+    this.#autosavedPlayTimeMs = 0;
+  }
+
+  /** Switch the core's fast-forward / slow-motion to match speedMode. */
+  #applySpeed() {
+    const mode = this.speedMode;
+    const gameManager = window.EJS_emulator?.gameManager;
+    if (mode === this.#appliedSpeed) return;
+
+    if (this.#isReady && gameManager) {
+      gameManager.toggleFastForward(mode === 'fast' ? 1 : 0);
+      gameManager.toggleSlowMotion(mode === 'slow' ? 1 : 0);
+    }
+    this.#appliedSpeed = mode;
+    this.#notifySpeed();
+  }
+
+  /** Push the ratios to the core, re-entering the current speed afterwards. */
+  #applySpeedRatios() {
+    const gameManager = window.EJS_emulator?.gameManager;
+    if (!gameManager) return;
+
+    const { fastForwardRatio, slowMotionRatio } = this.#speedRatios;
+    gameManager.toggleFastForward(0);
+    gameManager.toggleSlowMotion(0);
+    gameManager.setFastForwardRatio(fastForwardRatio);
+    gameManager.setSlowMotionRatio(slowMotionRatio);
+
+    // RetroArch only picks up a new ratio on the next toggle; EmulatorJS's
+    // own settings menu waits a tick before re-enabling for the same reason.
+    setTimeout(() => {
+      const mode = this.speedMode;
+      if (mode === 'fast') gameManager.toggleFastForward(1);
+      if (mode === 'slow') gameManager.toggleSlowMotion(1);
+    }, 10);
+  }
+
+  /** Re-send the whole cheat list to the core. */
+  #applyCheats() {
+    const gameManager = window.EJS_emulator?.gameManager;
+    if (!gameManager) return;
+
+    gameManager.resetCheat();
+    this.#cheats.forEach((cheat, index) => {
+      if (cheat.enabled) gameManager.setCheat(index, 1, cheat.code);
+    });
+  }
+
+  /**
+   * @param {number} volume
+   * @returns {number}
+   */
+  #effectiveGain(volume) {
+    const { muted, duckVolume } = this.#audioSettings;
+    if (muted) return 0;
+    return this.isDucked ? volume * duckVolume : volume;
+  }
+
+  /** Set the core's master gain to gameGain and the ambience gain to ambientGain. */
+  #applyAudio() {
+    const output = this.audioOutput;
+    if (output) {
+      output.node.gain.setTargetAtTime(this.gameGain, output.context.currentTime, AUDIO_RAMP_SECONDS);
+    }
+    if (this.#ambience) {
+      const { context, node } = this.#ambience;
+      node.gain.setTargetAtTime(this.ambientGain, context.currentTime, AUDIO_RAMP_SECONDS);
+    }
+    this.#emit('audio-change', {
+      settings: this.audioSettings,
+      ducked: this.isDucked,
+      gameGain: this.gameGain,
+      ambientGain: this.ambientGain,
+    });
+  }
+
+  /** The tab was hidden or shown, or the window lost or gained focus */
+  #onPageActivity = () => {
+    const hidden = document.hidden;
+    const inactive = hidden || !document.hasFocus();
+    if (hidden === this.#pageHidden && inactive === this.#pageInactive) return;
+    const activityChanged = inactive !== this.#pageInactive;
+    this.#pageHidden = hidden;
+    this.#pageInactive = inactive;
+    if (activityChanged) this.#applyAudio();
+    this.#emit('page-activity', { hidden, inactive });
+  };
+
+  #notifyCheats() {
+    this.#emit('cheats-change', { cheats: this.cheats, active: this.activeCheatCount });
+  }
+
+  #notifySpeed() {
+    this.#emit('speed-change', { mode: this.speedMode, multiplier: this.speedMultiplier });
+  }
+
+  #startWatchdog() {
+    this.#stopWatchdog();
+    this.#lastFrame = this.frameNumber;
+    this.#lastFrameAt = performance.now();
+    this.#stalled = null;
+    this.#coreError = null;
+    this.#watchdogTimer = setInterval(this.#checkProgress, WATCHDOG_INTERVAL_MS);
+    window.addEventListener('error', this.#onUncaughtError);
+    window.addEventListener('unhandledrejection', this.#onUncaughtError);
+  }
+
+  #stopWatchdog() {
+    clearInterval(this.#watchdogTimer);
+    this.#watchdogTimer = null;
+    window.removeEventListener('error', this.#onUncaughtError);
+    window.removeEventListener('unhandledrejection', this.#onUncaughtError);
+  }
+
+  #checkProgress = () => {
+    const now = performance.now();
+    let frame;
+    try {
+      frame = this.frameNumber;
+    } catch (err) {
+      // An aborted module throws on every call into it
+      this.#coreError ??= describeError(err);
+      this.#reportStall('crash');
+      return;
+    }
+
+    if (frame !== this.#lastFrame) {
+      this.#lastFrame = frame;
+      this.#lastFrameAt = now;
+      if (this.#stalled === 'stall') {
+        this.#stalled = null;
+        console.log('[EmulatorBridge] watchdog: frames moving again');
+        this.#emit('stall-cleared', {});
+      }
+      this.#autosave();
+      return;
+    }
+
+    // Frames aren't expected while paused, or in a hidden tab where the browser throttles the core
+    if (this.#isPaused || document.hidden) {
+      this.#lastFrameAt = now;
+      return;
+    }
+    if (now - this.#lastFrameAt >= STALL_TIMEOUT_MS) this.#reportStall('stall');
+  };
+
+  /** @param {ErrorEvent | PromiseRejectionEvent} e */
+  #onUncaughtError = (e) => {
+    const error = e instanceof PromiseRejectionEvent ? e.reason : (e.error ?? e.message);
+    const text = describeError(error);
+    // Errors from the rest of the page say nothing about the core
+    if (!isCoreError(error, text, e.filename)) return;
+    this.#coreError = text;
+    const crashed = error instanceof WebAssembly.RuntimeError || /\bAborted\(/.test(text);
+    if (crashed) this.#reportStall('crash');
+  };
+
+  /** @param {'stall' | 'crash'} reason */
+  async #reportStall(reason) {
+    // One report per stall; a crash still gets reported after a stall
+    if (this.#stalled === 'crash' || this.#stalled === reason) return;
+    this.#stalled = reason;
+
+    const report = await this.#diagnosticReport(reason);
+    if (report.game !== this.#gameName) return;  // unloaded meanwhile
+    const text = formatDiagnosticReport(report);
+    console.error(`[EmulatorBridge] watchdog: ${reason === 'crash' ? 'the core crashed' : 'the core stopped producing frames'}\n${text}`);
+    this.#emit('stall', { report, text });
+  }
+
+  /**
+   * @param {'stall' | 'crash'} reason
+   * @returns {Promise<DiagnosticReport>}
+   */
+  async #diagnosticReport(reason) {
+    const game = this.#gameName;
+    const autosave = await this.#saveStates.get(game, AUTOSAVE_SLOT).catch(() => undefined);
+    return {
+      reason,
+      time: new Date().toISOString(),
+      game,
+      system: this.#systemType,
+      core: this.#core,
+      coreVersion: this.#core ? await this.#getCoreVersion(this.#core) : null,
+      emulatorVersion: window.EJS_emulator?.ejs_version ?? null,
+      frame: this.#lastFrame,
+      msSinceFrame: Math.round(performance.now() - this.#lastFrameAt),
+      playTimeMs: Math.round(this.playTimeMs),
+      error: this.#coreError,
+      autosavedAt: autosave?.savedAt ?? null,
+      userAgent: navigator.userAgent,
+    };
+  }
+
+  /** Save into AUTOSAVE_SLOT once enough play time has passed since the last one */
+  #autosave() {
+    if (this.#autosaving || this.#isPaused || this.#isRewinding) return;
+    if (this.playTimeMs - this.#autosavedPlayTimeMs < AUTOSAVE_INTERVAL_MS) return;
+
+    this.#autosaving = true;
+    this.#autosavedPlayTimeMs = this.playTimeMs;
+    this.saveState(AUTOSAVE_SLOT)
+      .catch((err) => console.warn('[EmulatorBridge] autosave failed:', err))
+      .finally(() => { this.#autosaving = false; });
+  }
+
+  /**
+   * @param {string} type
+   * @param {object} detail
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Report EmulatorJS's loading text as 'loading-progress' until the game
+   * starts. EmulatorJS has no progress events of its own — it writes stages
+   * and download percentages into a text element, and marks it
+   * ejs_error_text when loading fails, which we turn into 'error'.
+   *
+   * @param {object} emulator — the EmulatorJS instance
+   */
+  #watchLoadingText(emulator) {
+    let lastMessage = null;
+    const observer = new MutationObserver(() => {
+      const textElem = emulator.textElem;
+      if (!textElem?.isConnected) return;
+      const message = textElem.textContent.trim();
+      if (!message || message === lastMessage) return;
+      lastMessage = message;
+
+      if (textElem.classList.contains('ejs_error_text')) {
+        observer.disconnect();
+        this.#loadingObserver = null;
+        const error = new Error(`[EmulatorBridge] EmulatorJS failed to load the game: ${message}`);
+        console.error(error.message);
+        this.#emit('error', { message, error });
+        this.#rejectLoad?.(error);
+        this.#rejectLoad = null;
+        return;
+      }
+
+      const percent = message.match(/(\d+)%/);
+      this.#emit('loading-progress', { message, percent: percent ? Number(percent[1]) : null });
+    });
+    observer.observe(document.getElementById(this.#containerId), {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['class'],
+    });
+    this.#loadingObserver = observer;
+  }
+
+  /**
+   * @param {string} action — for the error message
+   * @returns {EJS_GameManager}
+   */
+  #requireGameManager(action) {
+    const gameManager = window.EJS_emulator?.gameManager;
+    if (!this.#isReady || !gameManager) {
+      throw new Error(`[EmulatorBridge] ${action}: no game running`);
+    }
+    return gameManager;
+  }
+
+  /**
+   * Grab the current frame as a small PNG.
+   * Reads the EJS canvas directly (preserveDrawingBuffer keeps its contents
+   * readable) rather than GameManager.screenshot(), which waits for the core's
+   * main loop and so never resolves while the game is paused.
+   *
+   * @returns {Promise<Blob | null>}
+   */
+  #captureThumbnail() {
+    const source = this.#ejsCanvas;
+    if (!source) return Promise.resolve(null);
+
+    const thumb = document.createElement('canvas');
+    thumb.width = THUMBNAIL_WIDTH;
+    thumb.height = Math.round(THUMBNAIL_WIDTH * source.height / source.width);
+    thumb.getContext('2d').drawImage(source, 0, 0, thumb.width, thumb.height);
+    return new Promise((resolve) => thumb.toBlob(resolve, 'image/png'));
+  }
+}
+
+/**
+ * Load the EmulatorJS scripts and stylesheet once per page. Also makes
+ * EmulatorJS record every listener it registers, so unload() can remove
+ * them — it has no teardown of its own.
+ *
+ * @returns {Promise<void>}
+ */
+function loadEmulatorScripts() {
+  scriptsLoaded ??= (async () => {
+    for (const file of EJS_SCRIPTS) {
+      await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${EJS_DATA_PATH}src/${file}`;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`[EmulatorBridge] Failed to load ${script.src}`));
+        document.head.appendChild(script);
+      });
+    }
+
+    const css = document.createElement('link');
+    css.rel = 'stylesheet';
+    css.href = `${EJS_DATA_PATH}emulator.css`;
+    document.head.appendChild(css);
+
+    const proto = window.EmulatorJS.prototype;
+    const addEventListener = proto.addEventListener;
+    proto.addEventListener = function (element, listener, callback) {
+      const registered = addEventListener.call(this, element, listener, callback);
+      (this[EJS_LISTENERS] ??= []).push(...registered);
+      return registered;
+    };
+  })();
+
+  // Let a failed load be retried by the next loadROM()
+  scriptsLoaded.catch(() => { scriptsLoaded = null; });
+  return scriptsLoaded;
+}
+
+/**
+ * Parse GameManager.getCoreOptions() output: one option per line,
+ * `key|default; value1|value2|…`, where the '|default' part is optional and
+ * the first value may carry a '(Default) ' prefix. Options with a single
+ * value can't be changed and are dropped.
+ *
+ * @param {string} text
+ * @returns {Omit<CoreOption, 'value'>[]}
+ */
+function parseCoreOptions(text) {
+  return text.split('\n').filter(Boolean).map((line) => {
+    const [name, list = ''] = line.split('; ');
+    const [key, declaredDefault] = name.split('|');
+    const values = list.split('|').map((value) => value.replace(/^\(Default\) /, ''));
+    const dipSwitch = key.includes('-dipswitch-');
+    const label = key
+      .replace(/^fbneo-dipswitch-[^-]+-/, '')
+      .replace(/^(fbneo|fba2012\w*?)[-_]/, '')
+      .replace(/[-_]/g, ' ');
+    return { key, label, dipSwitch, values, defaultValue: declaredDefault ?? values[0] };
+  }).filter((option) => option.values.length > 1);
+}
+
+/** @returns {RewindConfig} */
+function loadRewindConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REWIND_STORAGE_KEY) ?? 'null');
+    return { ...DEFAULT_REWIND_CONFIG, ...saved };
+  } catch {
+    return { ...DEFAULT_REWIND_CONFIG };
+  }
+}
+
+/**
+ * Whether EmulatorJS has sized the canvas for the game yet (it starts at
+ * the HTML default of 300×150).
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean}
+ */
+function hasGameSize(canvas) {
+  return canvas.width > 300 || canvas.height > 150;
+}
+
+/**
+ * @param {unknown} error
+ * @returns {string} Message and stack, as far as the error has them
+ */
+function describeError(error) {
+  if (!(error instanceof Error)) return String(error);
+  if (!error.stack) return error.message;
+  // V8 stacks start with the message, Firefox's don't
+  return error.stack.includes(error.message) ? error.stack : `${error.message}\n${error.stack}`;
+}
+
+/**
+ * Whether an uncaught error came from the core or EmulatorJS rather than
+ * the rest of the page: a WebAssembly trap, an Emscripten abort, or a
+ * throw from a script under EJS_DATA_PATH or a blob: URL (EmulatorJS runs
+ * the core's glue code from one).
+ *
+ * @param {unknown} error
+ * @param {string} text — describeError(error)
+ * @param {string} [filename] — script the error was thrown in, for ErrorEvents
+ * @returns {boolean}
+ */
+function isCoreError(error, text, filename = '') {
+  if (error instanceof WebAssembly.RuntimeError || /\bAborted\(/.test(text)) return true;
+  return [filename, text].some((source) => source.includes(EJS_DATA_PATH) || source.includes('blob:') || source.includes('wasm-function['));
+}
+
+/**
+ * Plain-text report for the console, bug reports and the clipboard.
+ * @param {DiagnosticReport} report
+ * @returns {string}
+ */
+function formatDiagnosticReport(report) {
+  const seconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+  return [
+    `3D Arcade watchdog report — ${report.reason === 'crash' ? 'core crashed' : 'core stalled'}`,
+    `time:        ${report.time}`,
+    `game:        ${report.game ?? '-'} (${report.system ?? '-'})`,
+    `core:        ${report.core ?? '-'}${report.coreVersion ? ` build ${report.coreVersion}` : ''}`,
+    `emulatorjs:  ${report.emulatorVersion ?? '-'}`,
+    `last frame:  ${report.frame ?? '-'}, ${seconds(report.msSinceFrame)} ago`,
+    `play time:   ${seconds(report.playTimeMs)}`,
+    `autosave:    ${report.autosavedAt ? new Date(report.autosavedAt).toISOString() : 'none'}`,
+    `browser:     ${report.userAgent}`,
+    `error:       ${report.error ?? 'none'}`,
+  ].join('\n');
+}
+
+/** @returns {AudioSettings} */
+function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY) ?? 'null');
+    return { ...DEFAULT_AUDIO_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+/** @returns {SpeedRatios} */
+function loadSpeedRatios() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPEED_STORAGE_KEY) ?? 'null');
+    return { ...DEFAULT_SPEED_RATIOS, ...saved };
+  } catch {
+    return { ...DEFAULT_SPEED_RATIOS };
   }
 }
@@ -0,0 +1,395 @@
+/**
+ * InputBindings
+ *
+ * Per-system, per-player keyboard and gamepad bindings, persisted to
+ * localStorage. InputRouter reads its maps from here; RemapPanel edits them.
+ *
+ * Bindings are stored as logical button → input (one key / one pad button
+ * per logical button), which keeps "press the key for Heavy Punch" remapping
+ * and conflict detection simple. Keys are KeyboardEvent.code values — the
+ * physical key — so Shift or the keyboard layout never changes which key
+ * a press or release belongs to. Only systems/players the user has changed
+ * are written to storage; everything else falls back to the defaults below.
+ *
+ * Besides the system's panel buttons, each player also has front-end
+ * hotkeys (HOTKEY_LABELS) that InputRouter handles itself instead of
+ * forwarding to the core.
+ *
+ * Dispatches 'change' after any edit or reset.
+ */
+
+const STORAGE_KEY = '3d-arcade:input-bindings'
+const STORAGE_VERSION = 1
+
+/** Emulator ports that can be bound */
+export const MAX_PLAYERS = 4
+
+/**
+ * libretro RetroPad button ids, as accepted by GameManager.simulateInput.
+ */
+const RETROPAD = {
+  B:      0,
+  Y:      1,
+  SELECT: 2,
+  START:  3,
+  UP:     4,
+  DOWN:   5,
+  LEFT:   6,
+  RIGHT:  7,
+  A:      8,
+  X:      9,
+  L:      10,
+  R:      11,
+}
+
+/**
+ * Six-button Capcom panel. FBNeo/FBA map the punch row to Y/X/L and the
+ * kick row to B/A/R of the RetroPad.
+ */
+const SIX_BUTTON_LAYOUT = {
+  up:    RETROPAD.UP,
+  down:  RETROPAD.DOWN,
+  left:  RETROPAD.LEFT,
+  right: RETROPAD.RIGHT,
+  lp:    RETROPAD.Y,
+  mp:    RETROPAD.X,
+  hp:    RETROPAD.L,
+  lk:    RETROPAD.B,
+  mk:    RETROPAD.A,
+  hk:    RETROPAD.R,
+  start: RETROPAD.START,
+  coin:  RETROPAD.SELECT,
+}
+
+/**
+ * Neo Geo A/B/C/D. FBNeo maps A→B, B→A, C→Y, D→X on the RetroPad.
+ * Laid out KOF-style on the six-button keys: punches on the top row
+ * (A, C), kicks on the bottom row (B, D). hp/hk are unused.
+ */
+const NEO_GEO_LAYOUT = {
+  up:    RETROPAD.UP,
+  down:  RETROPAD.DOWN,
+  left:  RETROPAD.LEFT,
+  right: RETROPAD.RIGHT,
+  lp:    RETROPAD.B,   // A
+  lk:    RETROPAD.A,   // B
+  mp:    RETROPAD.Y,   // C
+  mk:    RETROPAD.X,   // D
+  start: RETROPAD.START,
+  coin:  RETROPAD.SELECT,
+}
+
+/**
+ * Logical button → RetroPad id, one table per EmulatorBridge CORE_MAP key.
+ * @type {Record<string, Record<string, number>>}
+ */
+export const BUTTON_LAYOUTS = {
+  cps1:  SIX_BUTTON_LAYOUT,
+  cps2:  SIX_BUTTON_LAYOUT,
+  neo:   NEO_GEO_LAYOUT,
+  fbneo: SIX_BUTTON_LAYOUT,
+}
+
+/**
+ * Front-end actions bindable like buttons but not sent to the core.
+ * InputRouter maps each to an EmulatorBridge call. "(hold)" actions last
+ * while the input is down; "(toggle)" actions flip on each press.
+ * @type {Record<string, string>}
+ */
+export const HOTKEY_LABELS = {
+  rewind:            'Rewind (hold)',
+  fastForward:       'Fast-forward (hold)',
+  fastForwardToggle: 'Fast-forward (toggle)',
+  slowMotion:        'Slow motion (hold)',
+  slowMotionToggle:  'Slow motion (toggle)',
+  mute:              'Mute (toggle)',
+}
+
+const SIX_BUTTON_LABELS = {
+  up:    'Up',
+  down:  'Down',
+  left:  'Left',
+  right: 'Right',
+  lp:    'Light Punch',
+  mp:    'Medium Punch',
+  hp:    'Heavy Punch',
+  lk:    'Light Kick',
+  mk:    'Medium Kick',
+  hk:    'Heavy Kick',
+  start: 'Start',
+  coin:  'Coin',
+  ...HOTKEY_LABELS,
+}
+
+/**
+ * Display names for each system's logical buttons, in panel order.
+ * @type {Record<string, Record<string, string>>}
+ */
+export const BUTTON_LABELS = {
+  cps1:  SIX_BUTTON_LABELS,
+  cps2:  SIX_BUTTON_LABELS,
+  fbneo: SIX_BUTTON_LABELS,
+  neo: {
+    up:    'Up',
+    down:  'Down',
+    left:  'Left',
+    right: 'Right',
+    lp:    'A',
+    lk:    'B',
+    mp:    'C',
+    mk:    'D',
+    start: 'Start',
+    coin:  'Coin',
+    ...HOTKEY_LABELS,
+  },
+}
+
+/**
+ * Default keyboard bindings per player. P1 is arrows + Z X C / A S D; P2 is
+ * IJKL + R T Y / F G H with MAME-style 2 / 6 for start / coin, so two players
+ * fit on one keyboard without sharing a key. P3/P4 start unbound.
+ * Hotkeys sit on P1: Backspace rewinds, ] / [ hold fast-forward / slow
+ * motion, = / - toggle them and M mutes.
+ * Keys are KeyboardEvent.code values (US layout names); see normalizeKey().
+ *
+ * @type {Record<string, string>[]}
+ */
+const DEFAULT_KEYBOARD = [
+  {
+    up:    'ArrowUp',
+    down:  'ArrowDown',
+    left:  'ArrowLeft',
+    right: 'ArrowRight',
+    lp:    'KeyZ',
+    mp:    'KeyX',
+    hp:    'KeyC',
+    lk:    'KeyA',
+    mk:    'KeyS',
+    hk:    'KeyD',
+    start: 'Enter',
+    coin:  'Shift',
+    rewind:            'Backspace',
+    fastForward:       'BracketRight',
+    fastForwardToggle: 'Equal',
+    slowMotion:        'BracketLeft',
+    slowMotionToggle:  'Minus',
+    mute:              'KeyM',
+  },
+  {
+    up:    'KeyI',
+    down:  'KeyK',
+    left:  'KeyJ',
+    right: 'KeyL',
+    lp:    'KeyR',
+    mp:    'KeyT',
+    hp:    'KeyY',
+    lk:    'KeyF',
+    mk:    'KeyG',
+    hk:    'KeyH',
+    start: 'Digit2',
+    coin:  'Digit6',
+  },
+  {},
+  {},
+]
+
+/**
+ * Default gamepad bindings, logical button → standard layout button index
+ * (https://w3c.github.io/gamepad/#remapping). Same for every player.
+ */
+const DEFAULT_GAMEPAD = {
+  lk:    0,    // A (south)
+  mk:    1,    // B (east)
+  lp:    2,    // X (west)
+  mp:    3,    // Y (north)
+  hp:    5,    // RB
+  hk:    7,    // RT
+  coin:  8,    // select / back
+  start: 9,
+  up:    12,
+  down:  13,
+  left:  14,
+  right: 15,
+  rewind:      4,    // LB
+  fastForward: 6,    // LT
+  slowMotion:  10,   // L3
+}
+
+/** Keys that can never be bound — Escape cancels a remap capture. */
+export const RESERVED_KEYS = new Set(['Escape'])
+
+/**
+ * Normalize a KeyboardEvent.code for binding: the left and right Shift,
+ * Control, Alt and Meta keys are the same binding ('ShiftRight' → 'Shift').
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeKey(code) {
+  return code.replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, '$1')
+}
+
+/**
+ * @typedef {object} PlayerBindings
+ * @property {Record<string, string>} keyboard — logical button → normalized KeyboardEvent.code
+ * @property {Record<string, number>} gamepad — logical button → pad button index
+ */
+
+/**
+ * @typedef {object} BindingConflict
+ * @property {number} player — 0-based player whose binding was removed
+ * @property {string} button — logical button that lost the input
+ */
+
+export class InputBindings extends EventTarget {
+  /**
+   * Stored overrides: system → player index → bindings.
+   * @type {Record<string, Record<number, PlayerBindings>>}
+   */
+  #overrides = {}
+
+  constructor() {
+    super()
+    this.#load()
+  }
+
+  /**
+   * Bindings for one player on one system (a copy — edit through the setters).
+   *
+   * @param {string} systemType — CORE_MAP key
+   * @param {number} player — 0-based emulator port
+   * @returns {PlayerBindings}
+   */
+  get(systemType, player) {
+    const stored = this.#overrides[systemType]?.[player]
+    const source = stored ?? defaultBindings(systemType, player)
+    return {
+      keyboard: { ...source.keyboard },
+      gamepad: { ...source.gamepad },
+    }
+  }
+
+  /**
+   * Bind a key to a logical button. A key can only drive one button per
+   * system across all players; any other binding that used the key is
+   * cleared and reported back so the UI can tell the user.
+   *
+   * @param {string} systemType
+   * @param {number} player
+   * @param {string} button
+   * @param {string} key — KeyboardEvent.code
+   * @returns {BindingConflict[]}
+   */
+  setKey(systemType, player, button, key) {
+    key = normalizeKey(key)
+    if (RESERVED_KEYS.has(key)) return []
+
+    const conflicts = []
+    for (let p = 0; p < MAX_PLAYERS; p++) {
+      const bindings = this.get(systemType, p)
+      for (const [other, bound] of Object.entries(bindings.keyboard)) {
+        if (bound !== key || (p === player && other === button)) continue
+        delete bindings.keyboard[other]
+        conflicts.push({ player: p, button: other })
+        this.#store(systemType, p, bindings)
+      }
+    }
+
+    const bindings = this.get(systemType, player)
+    bindings.keyboard[button] = key
+    this.#store(systemType, player, bindings)
+    this.#save()
+    return conflicts
+  }
+
+  /**
+   * Bind a gamepad button to a logical button. Pad bindings are per player
+   * (each player has their own pad), so conflicts are only checked within
+   * the same player.
+   *
+   * @param {string} systemType
+   * @param {number} player
+   * @param {string} button
+   * @param {number} padButton — standard layout button index
+   * @returns {BindingConflict[]}
+   */
+  setGamepadButton(systemType, player, button, padButton) {
+    const bindings = this.get(systemType, player)
+    const conflicts = []
+    for (const [other, bound] of Object.entries(bindings.gamepad)) {
+      if (bound === padButton && other !== button) {
+        delete bindings.gamepad[other]
+        conflicts.push({ player, button: other })
+      }
+    }
+
+    bindings.gamepad[button] = padButton
+    this.#store(systemType, player, bindings)
+    this.#save()
+    return conflicts
+  }
+
+  /**
+   * Restore the default bindings for one player on one system.
+   * @param {string} systemType
+   * @param {number} player
+   */
+  reset(systemType, player) {
+    if (this.#overrides[systemType]) {
+      delete this.#overrides[systemType][player]
+      if (Object.keys(this.#overrides[systemType]).length === 0) delete this.#overrides[systemType]
+    }
+    this.#save()
+  }
+
+  /**
+   * @param {string} systemType
+   * @param {number} player
+   * @param {PlayerBindings} bindings
+   */
+  #store(systemType, player, bindings) {
+    this.#overrides[systemType] ??= {}
+    this.#overrides[systemType][player] = bindings
+  }
+
+  #load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY)
+      if (!raw) return
+      const data = JSON.parse(raw)
+      if (data?.version !== STORAGE_VERSION) return
+      this.#overrides = data.systems ?? {}
+    } catch (err) {
+      console.warn('[InputBindings] ignoring unreadable saved bindings:', err)
+    }
+  }
+
+  #save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: STORAGE_VERSION,
+        systems: this.#overrides,
+      }))
+    } catch (err) {
+      console.warn('[InputBindings] failed to save bindings:', err)
+    }
+    this.dispatchEvent(new Event('change'))
+  }
+}
+
+/**
+ * Defaults for one player, limited to the buttons the system's layout has
+ * plus the hotkeys.
+ *
+ * @param {string} systemType
+ * @param {number} player
+ * @returns {PlayerBindings}
+ */
+function defaultBindings(systemType, player) {
+  const layout = BUTTON_LAYOUTS[systemType] ?? SIX_BUTTON_LAYOUT
+  const pick = (map) => Object.fromEntries(Object.entries(map).filter(([button]) => button in layout || button in HOTKEY_LABELS))
+  return {
+    keyboard: pick(DEFAULT_KEYBOARD[player] ?? {}),
+    gamepad: pick(DEFAULT_GAMEPAD),
+  }
+}
@@ -3,54 +3,211 @@
  *
  * Bridges browser keyboard/gamepad input to EmulatorJS.
  * Keyboard state is tracked via a Set to avoid key-repeat events.
- * Gamepad polling runs inside the master RAF loop via poll().
+ * Gamepad polling runs inside the master RAF loop via poll(); only
+ * press/release edges are forwarded, never the steady state.
+ *
+ * Key and pad maps come from InputBindings (per system, per player,
+ * user-remappable). Local multiplayer: each player (= emulator port) can use
+ * the keyboard with their own bindings and/or a gamepad. Gamepads set to
+ * 'auto' are handed out in connection order to players that don't have one
+ * yet, and freed again on gamepaddisconnected. By default only player 1 has
+ * the keyboard, so the first pad shares player 1 with the keyboard and the
+ * second is player 2.
+ *
+ * Hotkeys (InputBindings HOTKEY_LABELS) are front-end actions rather than
+ * core buttons; they are ref-counted across all players and sources like
+ * core buttons, so e.g. rewind stays held until the last input lets go.
+ * Speed controls go through EmulatorBridge's speed API, mute through its
+ * audio state.
+ *
+ * Menus: Select+Start held together on any pad dispatches 'menu' (the
+ * pause menu's chord) without the two buttons reaching the core: either
+ * one alone is held back for a moment in case the other joins it. While a
+ * menu holds the pads (enterMenu()), game input is suspended and pads
+ * drive the menu instead: each d-pad / left-stick / face-button press is
+ * dispatched as a 'menu-input' CustomEvent with detail { action, owner } —
+ * action is 'up', 'down', 'left', 'right', 'accept' (A), 'back' (B or
+ * Start), or 'other' for any other button. Menus can stack (a panel opened
+ * from the pause menu, the auto-pause prompt over a panel); owner is the
+ * one entered last, and only it should act on the input. When the top one
+ * leaves, 'menu-return' { owner } tells the one below it that it is back on
+ * top. Pad buttons still held when the last menu closes don't reach the
+ * game until they are let go. Keyboard menu navigation is left to the
+ * menu's own DOM handlers.
+ *
+ * Leaving the page: keyup events never arrive for keys let go while the
+ * window is unfocused or the tab hidden, and pads aren't polled while the
+ * RAF loop is stopped, so everything held is released when EmulatorBridge
+ * reports the page inactive ('page-activity': tab hidden or window blurred).
  *
  * While the emulator is focused, inputs are consumed here and NOT
  * forwarded to OrbitControls. Click the Three.js canvas to unfocus.
  */
 
-const KEY_MAP = {
-  ArrowUp:    'up',
-  ArrowDown:  'down',
-  ArrowLeft:  'left',
-  ArrowRight: 'right',
-  z:          'lp',   // light punch
-  Z:          'lp',
-  x:          'mp',   // medium punch
-  X:          'mp',
-  c:          'hp',   // heavy punch
-  C:          'hp',
-  a:          'lk',   // light kick
-  A:          'lk',
-  s:          'mk',   // medium kick
-  S:          'mk',
-  d:          'hk',   // heavy kick
-  D:          'hk',
-  Enter:      'start',
-  Shift:      'coin',
-}
+import { InputBindings, MAX_PLAYERS, BUTTON_LAYOUTS, HOTKEY_LABELS, RESERVED_KEYS, normalizeKey } from './InputBindings.js'
+
+/** Default left-stick deadzone, as a fraction of full deflection */
+const DEFAULT_STICK_DEADZONE = 0.5
+
+/** System used for bindings before a ROM has been loaded */
+const DEFAULT_SYSTEM = 'cps2'
 
-const CAPTURED_KEYS = new Set(Object.keys(KEY_MAP))
+/** Standard-layout pad buttons that, held together, open the pause menu */
+const MENU_CHORD = [8, 9]    // select / back + start
 
-export class InputRouter {
+/** How long Select or Start alone is kept from the core in case the other joins it for the chord */
+const CHORD_WINDOW_MS = 150
+
+/** Standard-layout pad button → menu action while a menu holds the pads */
+const MENU_PAD_ACTIONS = new Map([
+  [12, 'up'],
+  [13, 'down'],
+  [14, 'left'],
+  [15, 'right'],
+  [0, 'accept'],
+  [1, 'back'],
+  [9, 'back'],
+])
+
+/**
+ * @typedef {object} PlayerAssignment
+ * @property {boolean} keyboard — whether the player's keyboard bindings are live
+ * @property {'auto' | 'none' | number} gamepad — 'auto' takes the next free
+ *   pad, 'none' ignores pads, a number pins that gamepad index
+ */
+
+/**
+ * Dispatches 'assignments-change' whenever a player's sources change or a
+ * gamepad connects/disconnects, so assignment UIs can re-render, and
+ * 'menu' / 'menu-input' for menus (see above).
+ */
+export class InputRouter extends EventTarget {
   /** @type {Set<string>} */
   #heldKeys = new Set()
 
+  /**
+   * One entry per emulator port.
+   * @type {PlayerAssignment[]}
+   */
+  #players = Array.from({ length: MAX_PLAYERS }, (_, i) => ({
+    keyboard: i === 0,
+    gamepad: 'auto',
+  }))
+
+  /** @type {InputBindings} */
+  #bindings = new InputBindings()
+
+  /**
+   * Normalized key → the players and logical buttons it drives, built from
+   * #players and #bindings for #boundSystem.
+   * @type {Map<string, { player: number, button: string }[]>}
+   */
+  #keyBindings = new Map()
+
+  /**
+   * Player → (pad button index → logical button), built with #keyBindings.
+   * @type {Map<number, Map<number, string>>}
+   */
+  #padBindings = new Map()
+
+  /**
+   * System the current key/pad maps were built for. Null forces a rebuild.
+   * @type {string | null}
+   */
+  #boundSystem = null
+
+  /**
+   * Pending captureNextInput() request, if any. While set, keys and pad
+   * buttons go to the capture instead of the core.
+   * @type {{ kind: 'keyboard' | 'gamepad', finish: (value: string | number | null) => void, baseline: Map<number, Set<number>>, rafId: number | null } | null}
+   */
+  #capture = null
+
   /** @type {boolean} */
   #emulatorFocused = false
 
+  /** @type {object[]} Menus holding the pads, last entered on top */
+  #menuOwners = []
+
+  /** @type {Set<number>} Pads currently holding the menu chord, so it fires once per hold */
+  #chordPads = new Set()
+
+  /**
+   * Chord buttons down (or just tapped) per pad, with when they went down — see #chordButtons()
+   * @type {Map<number, Map<number, { since: number, tap: boolean }>>}
+   */
+  #chordHeld = new Map()
+
+  /** @type {Map<number, Set<number>>} Pad buttons pressed at the last menu poll, per pad */
+  #menuButtons = new Map()
+
+  /** @type {Map<number, Set<string>>} Stick directions at the last menu poll, per pad */
+  #menuStick = new Map()
+
+  /** @type {Map<number, Set<number>>} Pad buttons held since the menu closed, kept from the game until released */
+  #heldFromMenu = new Map()
+
   /** @type {EmulatorBridge} */
   #emulatorBridge
 
+  /**
+   * Gamepad index → 0-based player slot.
+   * @type {Map<number, number>}
+   */
+  #padPlayers = new Map()
+
+  /**
+   * Gamepad indices #reassignPads has seen connected.
+   * @type {Set<number>}
+   */
+  #knownPads = new Set()
+
+  /**
+   * Last polled state per gamepad index, keyed by logical button.
+   * Buttons and stick directions are tracked separately so the d-pad and
+   * the stick can both hold a direction without releasing each other.
+   * @type {Map<number, { buttons: Set<string>, stick: Set<string> }>}
+   */
+  #padState = new Map()
+
+  /**
+   * Press counts per `${player}:${retropadIndex}`, or `hotkey:${name}` for
+   * hotkeys. Keyboard and gamepad can hold the same button; the core only
+   * sees the first press and last release.
+   * @type {Map<string, number>}
+   */
+  #pressCounts = new Map()
+
+  /** @type {number} */
+  #stickDeadzone = DEFAULT_STICK_DEADZONE
+
+  /**
+   * Hotkey → handler called when it becomes held (true) or released (false).
+   * @type {Record<string, (active: boolean) => void>}
+   */
+  #hotkeys = {
+    rewind:            (active) => this.#emulatorBridge.setRewinding(active),
+    fastForward:       (active) => this.#emulatorBridge.holdSpeed('fast', active),
+    slowMotion:        (active) => this.#emulatorBridge.holdSpeed('slow', active),
+    fastForwardToggle: (active) => active && this.#emulatorBridge.toggleSpeed('fast'),
+    slowMotionToggle:  (active) => active && this.#emulatorBridge.toggleSpeed('slow'),
+    mute:              (active) => active && this.#emulatorBridge.toggleMute(),
+  }
+
   /**
    * @param {import('./EmulatorBridge.js').EmulatorBridge} emulatorBridge
    * @param {HTMLElement} threeCanvas — used to toggle focus mode on click
    */
   constructor(emulatorBridge, threeCanvas) {
+    super()
     this.#emulatorBridge = emulatorBridge
+    this.#bindings.addEventListener('change', this.#onBindingsChange)
 
     window.addEventListener('keydown', this.#onKeyDown)
     window.addEventListener('keyup', this.#onKeyUp)
+    window.addEventListener('gamepadconnected', this.#onGamepadConnected)
+    window.addEventListener('gamepaddisconnected', this.#onGamepadDisconnected)
+    emulatorBridge.addEventListener('page-activity', this.#onPageActivity)
 
     threeCanvas.addEventListener('click', () => {
       this.#emulatorFocused = false
@@ -59,15 +216,68 @@ export class InputRouter {
 
   /** Call once per frame from the master RAF loop */
   poll() {
-    if (!this.#emulatorBridge.isReady) return
+    if (!this.#emulatorBridge.isReady || this.#capture) return
+    if (this.menuMode) {
+      this.#pollMenu()
+      return
+    }
+    this.#ensureBindings()
 
     const gamepads = navigator.getGamepads()
     for (const gp of gamepads) {
-      if (!gp) continue
+      if (!gp || !gp.connected) continue
+      if (this.#pollChord(gp)) return
       this.#pollGamepad(gp)
     }
   }
 
+  /** @returns {boolean} Whether a menu has the pads instead of the game */
+  get menuMode() {
+    return this.#menuOwners.length > 0
+  }
+
+  /** @returns {object | null} The menu 'menu-input' is meant for */
+  get menuOwner() {
+    return this.#menuOwners.at(-1) ?? null
+  }
+
+  /**
+   * Hand the pads to a menu, on top of any menu already holding them.
+   * Everything the game was holding is released when the first menu
+   * enters; buttons already down don't count as menu presses.
+   * @param {object} owner — the menu, passed back as 'menu-input' detail.owner
+   */
+  enterMenu(owner) {
+    if (this.#menuOwners.includes(owner)) return
+    if (this.#menuOwners.length === 0) {
+      this.#releaseKeys()
+      this.#releaseAllPads()
+    }
+    this.#menuOwners.push(owner)
+    this.#menuButtons = this.#pressedPadButtons()
+    this.#menuStick.clear()
+  }
+
+  /**
+   * Let go of the pads; they go back to the game once no menu holds them.
+   * @param {object} owner
+   */
+  leaveMenu(owner) {
+    const index = this.#menuOwners.indexOf(owner)
+    if (index === -1) return
+    this.#menuOwners.splice(index, 1)
+    if (this.#menuOwners.length === 0) {
+      this.#heldFromMenu = this.#pressedPadButtons()
+    } else if (index === this.#menuOwners.length) {
+      this.dispatchEvent(new CustomEvent('menu-return', { detail: { owner: this.menuOwner } }))
+    }
+  }
+
+  /** @returns {boolean} Whether captureNextInput() is waiting for a press */
+  get capturing() {
+    return this.#capture !== null
+  }
+
   /** @returns {boolean} Whether emulator is consuming input */
   get emulatorFocused() {
     return this.#emulatorFocused
@@ -77,47 +287,528 @@ export class InputRouter {
     this.#emulatorFocused = value
   }
 
+  /** @returns {number} Left-stick deadzone, 0–1 */
+  get stickDeadzone() {
+    return this.#stickDeadzone
+  }
+
+  set stickDeadzone(value) {
+    this.#stickDeadzone = Math.min(Math.max(value, 0), 0.95)
+  }
+
+  /**
+   * Current player → input source assignments (copies).
+   * @returns {PlayerAssignment[]}
+   */
+  get players() {
+    return this.#players.map((p) => ({ ...p }))
+  }
+
+  /**
+   * Connected gamepads and the player each one currently drives.
+   * @returns {{ index: number, id: string, player: number | null }[]}
+   */
+  get gamepads() {
+    return [...navigator.getGamepads()]
+      .filter((gp) => gp?.connected)
+      .map((gp) => ({ index: gp.index, id: gp.id, player: this.#padPlayers.get(gp.index) ?? null }))
+  }
+
+  /** @returns {InputBindings} The persisted key/pad maps this router reads */
+  get bindings() {
+    return this.#bindings
+  }
+
+  /**
+   * Turn a player's keyboard bindings on or off.
+   *
+   * @param {number} player — 0-based emulator port
+   * @param {boolean} enabled
+   */
+  setPlayerKeyboard(player, enabled) {
+    if (!this.#players[player]) return
+
+    this.#releaseKeys()
+    this.#players[player].keyboard = enabled
+    this.#boundSystem = null
+    this.#notifyAssignments()
+  }
+
+  /**
+   * Set how a player picks up a gamepad. Pinning a pad index removes that pad
+   * from any other player that had it pinned.
+   *
+   * @param {number} player — 0-based emulator port
+   * @param {'auto' | 'none' | number} gamepad
+   */
+  setPlayerGamepad(player, gamepad) {
+    if (!this.#players[player]) return
+
+    for (const p of this.#players) {
+      if (typeof gamepad === 'number' && p.gamepad === gamepad) p.gamepad = 'auto'
+    }
+    this.#players[player].gamepad = gamepad
+    this.#reassignPads()
+    this.#notifyAssignments()
+  }
+
+  /**
+   * Wait for the next key or gamepad button press, for remapping. Game input
+   * is suspended until it settles. Resolves with the KeyboardEvent.code (see
+   * normalizeKey()) or the pad button index, or null if Escape was pressed
+   * or cancelCapture() called.
+   * Gamepad capture polls on its own rAF so it works before the game starts.
+   *
+   * @param {'keyboard' | 'gamepad'} kind
+   * @returns {Promise<string | number | null>}
+   */
+  captureNextInput(kind) {
+    this.cancelCapture()
+    this.#releaseKeys()
+    this.#releaseAllPads()
+
+    return new Promise((resolve) => {
+      const capture = {
+        kind,
+        baseline: this.#pressedPadButtons(),
+        rafId: null,
+        finish: (value) => {
+          if (capture.rafId !== null) cancelAnimationFrame(capture.rafId)
+          if (this.#capture === capture) this.#capture = null
+          resolve(value)
+        },
+      }
+      this.#capture = capture
+
+      if (kind === 'gamepad') {
+        const pollCapture = () => {
+          const pressed = this.#pressedPadButtons()
+          for (const [pad, buttons] of pressed) {
+            const before = capture.baseline.get(pad) ?? new Set()
+            for (const button of buttons) {
+              if (!before.has(button)) return capture.finish(button)
+            }
+          }
+          capture.baseline = pressed
+          capture.rafId = requestAnimationFrame(pollCapture)
+        }
+        capture.rafId = requestAnimationFrame(pollCapture)
+      }
+    })
+  }
+
+  /**
+   * Let go of everything held and forget press counts. Call before the game
+   * is unloaded, so nothing is left pressed in the next one.
+   */
+  reset() {
+    this.cancelCapture()
+    this.#releaseKeys()
+    this.#releaseAllPads()
+    this.#pressCounts.clear()
+    this.#boundSystem = null
+  }
+
+  /** Abandon a pending captureNextInput(), resolving it with null. */
+  cancelCapture() {
+    this.#capture?.finish(null)
+  }
+
   #onKeyDown = (e) => {
-    if (this.#heldKeys.has(e.key)) return  // ignore key repeat
+    if (this.#capture) {
+      e.preventDefault()
+      const key = normalizeKey(e.code)
+      if (e.key === 'Escape') this.#capture.finish(null)
+      else if (this.#capture.kind === 'keyboard' && key && !RESERVED_KEYS.has(key)) this.#capture.finish(key)
+      return
+    }
+    if (this.menuMode) return
+
+    if (isTextEntry(e.target)) return  // let UI text fields receive typing
 
-    if (CAPTURED_KEYS.has(e.key)) {
+    // By code: the key, not the character, so Shift can't make a release miss its press
+    const key = normalizeKey(e.code)
+    if (this.#heldKeys.has(key)) return  // ignore key repeat
+
+    this.#ensureBindings()
+    const bindings = this.#keyBindings.get(key)
+    if (bindings) {
       e.preventDefault()
-      this.#heldKeys.add(e.key)
+      this.#heldKeys.add(key)
 
-      const button = KEY_MAP[e.key]
-      if (this.#emulatorBridge.isReady) {
-        // TODO: forward to EmulatorJS input API when wired
-        // EJS_emulator.simulateInput(0, button, 1)
-        console.debug(`[InputRouter] keydown → ${button}`)
-      }
+      for (const { player, button } of bindings) this.#send(player, button, 1)
     }
   }
 
   #onKeyUp = (e) => {
-    this.#heldKeys.delete(e.key)
+    const key = normalizeKey(e.code)
+    if (!this.#heldKeys.delete(key)) return
+
+    const bindings = this.#keyBindings.get(key) ?? []
+    for (const { player, button } of bindings) this.#send(player, button, 0)
+  }
+
+  /** @param {CustomEvent<{ hidden: boolean, inactive: boolean }>} e */
+  #onPageActivity = (e) => {
+    if (!e.detail.inactive) return
+    this.#releaseKeys()
+    this.#releaseAllPads()
+  }
+
+  #onBindingsChange = () => {
+    this.#releaseKeys()
+    this.#releaseAllPads()
+    this.#boundSystem = null
+  }
+
+  #onGamepadConnected = (e) => {
+    this.#reassignPads()
+    const player = this.#padPlayers.get(e.gamepad.index)
+    console.log(`[InputRouter] gamepad ${e.gamepad.index} connected (${e.gamepad.id}) → ${player === undefined ? 'unassigned' : `player ${player + 1}`}`)
+    this.#notifyAssignments()
+  }
+
+  #onGamepadDisconnected = (e) => {
+    const index = e.gamepad.index
+    const player = this.#padPlayers.get(index)
+
+    this.#releasePad(index)
+    this.#padPlayers.delete(index)
+    // Another connected pad may now fill the freed 'auto' slot
+    this.#reassignPads()
+    if (player !== undefined) console.log(`[InputRouter] gamepad ${index} disconnected, player ${player + 1} slot freed`)
+    this.#notifyAssignments()
+  }
+
+  /**
+   * Rebuild the key and pad lookup tables if the loaded system or the
+   * bindings changed since they were last built.
+   */
+  #ensureBindings() {
+    const system = this.#emulatorBridge.systemType ?? DEFAULT_SYSTEM
+    if (this.#boundSystem === system) return
+
+    // Held inputs were resolved against the old maps — let go of them first
+    this.#releaseKeys()
+    this.#releaseAllPads()
+
+    this.#keyBindings.clear()
+    this.#padBindings.clear()
+    this.#players.forEach(({ keyboard }, player) => {
+      const { keyboard: keys, gamepad } = this.#bindings.get(system, player)
+
+      if (keyboard) {
+        for (const [button, key] of Object.entries(keys)) {
+          if (!this.#keyBindings.has(key)) this.#keyBindings.set(key, [])
+          this.#keyBindings.get(key).push({ player, button })
+        }
+      }
+
+      this.#padBindings.set(player, new Map(Object.entries(gamepad).map(([button, index]) => [index, button])))
+    })
+    this.#boundSystem = system
+  }
+
+  /** Release every held key so a layout change can't leave inputs stuck. */
+  #releaseKeys() {
+    for (const key of this.#heldKeys) {
+      for (const { player, button } of this.#keyBindings.get(key) ?? []) this.#send(player, button, 0)
+    }
+    this.#heldKeys.clear()
+  }
+
+  /**
+   * Recompute gamepad → player from the assignments and the connected pads.
+   * Pinned pads go first; remaining pads fill 'auto' players without a pad,
+   * lowest player first, in gamepad index order.
+   */
+  #reassignPads() {
+    const connected = [...navigator.getGamepads()].filter((gp) => gp?.connected).map((gp) => gp.index)
+    const next = new Map()
+
+    this.#players.forEach(({ gamepad }, player) => {
+      if (typeof gamepad === 'number' && connected.includes(gamepad)) next.set(gamepad, player)
+    })
+
+    const free = connected.filter((index) => !next.has(index))
+    this.#players.forEach(({ gamepad }, player) => {
+      if (gamepad === 'auto' && free.length > 0) next.set(free.shift(), player)
+    })
+
+    for (const [index, player] of this.#padPlayers) {
+      if (next.get(index) !== player) this.#releasePad(index)
+    }
+    for (const index of next.keys()) {
+      if (!this.#padState.has(index)) this.#padState.set(index, { buttons: new Set(), stick: new Set() })
+    }
+    this.#padPlayers = next
+    this.#knownPads = new Set(connected)
+  }
+
+  /**
+   * Currently pressed button indices per connected gamepad.
+   * @returns {Map<number, Set<number>>}
+   */
+  #pressedPadButtons() {
+    const pressed = new Map()
+    for (const gp of navigator.getGamepads()) {
+      if (!gp?.connected) continue
+      const buttons = new Set()
+      gp.buttons.forEach((b, i) => { if (b.pressed) buttons.add(i) })
+      pressed.set(gp.index, buttons)
+    }
+    return pressed
+  }
+
+  /** Release whatever every pad holds; the next poll re-presses from scratch. */
+  #releaseAllPads() {
+    for (const [index, state] of this.#padState) {
+      const player = this.#padPlayers.get(index)
+      if (player !== undefined) {
+        for (const button of state.buttons) this.#send(player, button, 0)
+        for (const button of state.stick) this.#send(player, button, 0)
+      }
+      state.buttons = new Set()
+      state.stick = new Set()
+    }
+    // Chord buttons still down start a fresh window on the next poll
+    this.#chordHeld.clear()
+  }
+
+  #notifyAssignments() {
+    this.dispatchEvent(new Event('assignments-change'))
+  }
+
+  /**
+   * Release everything a gamepad was holding so nothing sticks after unplug.
+   * @param {number} padIndex
+   */
+  #releasePad(padIndex) {
+    const player = this.#padPlayers.get(padIndex)
+    const state = this.#padState.get(padIndex)
+    if (player === undefined || !state) return
+
+    for (const button of state.buttons) this.#send(player, button, 0)
+    for (const button of state.stick) this.#send(player, button, 0)
+    this.#padState.delete(padIndex)
+    this.#chordHeld.delete(padIndex)
+  }
 
-    const button = KEY_MAP[e.key]
-    if (button && this.#emulatorBridge.isReady) {
-      // TODO: forward to EmulatorJS input API when wired
-      // EJS_emulator.simulateInput(0, button, 0)
-      console.debug(`[InputRouter] keyup → ${button}`)
+  /**
+   * Translate a logical button through the loaded system's layout and
+   * forward it to the core. Hotkeys go to their front-end handler instead.
+   * Buttons the layout doesn't define are dropped.
+   *
+   * @param {number} player — 0-based emulator port
+   * @param {string} button — logical button name (see InputBindings)
+   * @param {number} value — 1 pressed, 0 released
+   */
+  #send(player, button, value) {
+    if (!this.#emulatorBridge.isReady) return
+
+    if (button in HOTKEY_LABELS) {
+      // Hotkeys act on the whole emulator, so any player can hold them
+      if (this.#press(`hotkey:${button}`, value)) this.#hotkeys[button]?.(value > 0)
+      return
     }
+
+    const layout = BUTTON_LAYOUTS[this.#emulatorBridge.systemType] ?? BUTTON_LAYOUTS[DEFAULT_SYSTEM]
+    const index = layout[button]
+    if (index === undefined) return
+
+    // Only the 0 ↔ 1 transitions change what the core sees
+    if (this.#press(`${player}:${index}`, value)) this.#emulatorBridge.simulateInput(player, index, value ? 1 : 0)
+  }
+
+  /**
+   * Count a press or release of one input target.
+   * @param {string} key — #pressCounts key
+   * @param {number} value — 1 pressed, 0 released
+   * @returns {boolean} Whether the target went from released to held or back
+   */
+  #press(key, value) {
+    const count = this.#pressCounts.get(key) ?? 0
+    const next = value ? count + 1 : Math.max(count - 1, 0)
+    this.#pressCounts.set(key, next)
+    return (count === 0) !== (next === 0)
   }
 
   #pollGamepad(gp) {
-    // TODO: map gamepad axes/buttons to emulator input API when wired
-    // Standard gamepad layout (https://w3c.github.io/gamepad/#remapping):
-    //   buttons[0] = A (south)  → lk
-    //   buttons[1] = B (east)   → mk
-    //   buttons[2] = X (west)   → lp
-    //   buttons[3] = Y (north)  → mp
-    //   buttons[12..15]         → dpad
-    //   buttons[9]              → start
-    //   buttons[8]              → select/coin
+    // Pads that were connected before the page loaded may never fire
+    // gamepadconnected in some browsers — pick them up here instead.
+    if (!this.#knownPads.has(gp.index)) {
+      this.#reassignPads()
+      this.#notifyAssignments()
+    }
+
+    const player = this.#padPlayers.get(gp.index)
+    const state = this.#padState.get(gp.index)
+    if (player === undefined || !state) return
+
+    // Buttons still down from a menu (e.g. the A that chose RESUME) wait for release
+    const fromMenu = this.#heldFromMenu.get(gp.index)
+    if (fromMenu) {
+      for (const i of fromMenu) {
+        if (!gp.buttons[i]?.pressed) fromMenu.delete(i)
+      }
+    }
+
+    const { withheld, tapped } = this.#chordButtons(gp)
+    const buttons = new Set()
+    for (const [i, button] of this.#padBindings.get(player) ?? []) {
+      const pressed = (gp.buttons[i]?.pressed && !withheld.has(i)) || tapped.has(i)
+      if (pressed && !fromMenu?.has(i)) buttons.add(button)
+    }
+    this.#applyEdges(player, state.buttons, buttons)
+    state.buttons = buttons
+
+    const stick = this.#readStick(gp.axes[0] ?? 0, gp.axes[1] ?? 0)
+    this.#applyEdges(player, state.stick, stick)
+    state.stick = stick
+  }
+
+  /**
+   * Select and Start (often coin and start) reach the core only once it's
+   * clear they aren't the first half of the menu chord: when held alone for
+   * CHORD_WINDOW_MS, or — for a tap let go within it — on release, pressed
+   * for that one poll and released on the next.
+   * @param {Gamepad} gp
+   * @returns {{ withheld: Set<number>, tapped: Set<number> }} chord buttons
+   *   to treat as up, and as down, this poll
+   */
+  #chordButtons(gp) {
+    const now = performance.now()
+    let held = this.#chordHeld.get(gp.index)
+    if (!held) this.#chordHeld.set(gp.index, held = new Map())
+
+    const withheld = new Set()
+    const tapped = new Set()
+    for (const i of MENU_CHORD) {
+      const entry = held.get(i)
+      const early = entry && now - entry.since < CHORD_WINDOW_MS
+      if (gp.buttons[i]?.pressed) {
+        if (!entry || entry.tap) {
+          held.set(i, { since: now, tap: false })
+          withheld.add(i)
+        } else if (early) {
+          withheld.add(i)
+        }
+      } else if (entry) {
+        if (early && !entry.tap) {
+          entry.tap = true
+          tapped.add(i)
+        } else {
+          held.delete(i)
+        }
+      }
+    }
+    return { withheld, tapped }
+  }
+
+  /**
+   * Check one pad for the pause-menu chord. On a fresh chord the game lets
+   * go of everything and 'menu' is dispatched.
+   * @param {Gamepad} gp
+   * @returns {boolean} Whether the chord was just pressed
+   */
+  #pollChord(gp) {
+    const held = MENU_CHORD.every((i) => gp.buttons[i]?.pressed)
+    if (!held) {
+      this.#chordPads.delete(gp.index)
+      return false
+    }
+    if (this.#chordPads.has(gp.index)) return false
+
+    this.#chordPads.add(gp.index)
+    this.#releaseKeys()
+    this.#releaseAllPads()
+    this.dispatchEvent(new Event('menu'))
+    return true
+  }
+
+  /** Turn new pad presses into 'menu-input' events. */
+  #pollMenu() {
+    const pressed = this.#pressedPadButtons()
+    for (const gp of navigator.getGamepads()) {
+      if (!gp?.connected) continue
+
+      const before = this.#menuButtons.get(gp.index) ?? new Set()
+      for (const button of pressed.get(gp.index) ?? []) {
+        if (!before.has(button)) this.#menuInput(MENU_PAD_ACTIONS.get(button) ?? 'other')
+      }
+
+      const stick = this.#readStick(gp.axes[0] ?? 0, gp.axes[1] ?? 0)
+      const stickBefore = this.#menuStick.get(gp.index) ?? new Set()
+      for (const direction of stick) {
+        if (!stickBefore.has(direction)) this.#menuInput(direction)
+      }
+      this.#menuStick.set(gp.index, stick)
+    }
+    this.#menuButtons = pressed
+  }
+
+  /** @param {string} action */
+  #menuInput(action) {
+    // A handler may close the menu mid-poll; the rest goes to the game then
+    if (!this.menuMode) return
+    this.dispatchEvent(new CustomEvent('menu-input', { detail: { action, owner: this.menuOwner } }))
+  }
+
+  /**
+   * Left stick as a digital d-pad. Uses a radial deadzone, then splits the
+   * circle into eight 45° sectors so diagonals are as easy to hit as
+   * cardinals (important for quarter-circle motions).
+   *
+   * @param {number} x — axes[0], -1 left … 1 right
+   * @param {number} y — axes[1], -1 up … 1 down
+   * @returns {Set<string>}
+   */
+  #readStick(x, y) {
+    const directions = new Set()
+    if (Math.hypot(x, y) < this.#stickDeadzone) return directions
+
+    const angle = Math.atan2(-y, x)       // 0 = right, counter-clockwise
+    const sector = Math.round(angle / (Math.PI / 4))
+    if (sector >= -1 && sector <= 1) directions.add('right')
+    if (sector >= 1 && sector <= 3) directions.add('up')
+    if (sector >= 3 || sector <= -3) directions.add('left')
+    if (sector >= -3 && sector <= -1) directions.add('down')
+    return directions
+  }
+
+  /**
+   * Send press/release for the difference between two button sets.
+   * @param {number} player
+   * @param {Set<string>} previous
+   * @param {Set<string>} current
+   */
+  #applyEdges(player, previous, current) {
+    for (const button of previous) {
+      if (!current.has(button)) this.#send(player, button, 0)
+    }
+    for (const button of current) {
+      if (!previous.has(button)) this.#send(player, button, 1)
+    }
   }
 
   destroy() {
+    this.cancelCapture()
+    this.#bindings.removeEventListener('change', this.#onBindingsChange)
     window.removeEventListener('keydown', this.#onKeyDown)
     window.removeEventListener('keyup', this.#onKeyUp)
+    window.removeEventListener('gamepadconnected', this.#onGamepadConnected)
+    window.removeEventListener('gamepaddisconnected', this.#onGamepadDisconnected)
+    this.#emulatorBridge.removeEventListener('page-activity', this.#onPageActivity)
   }
 }
+
+/**
+ * @param {EventTarget | null} target
+ * @returns {boolean} Whether the event target is a field the user types into
+ */
+function isTextEntry(target) {
+  if (!(target instanceof HTMLElement)) return false
+  if (target.isContentEditable) return true
+  if (target instanceof HTMLTextAreaElement) return true
+  return target instanceof HTMLInputElement && !['checkbox', 'radio', 'range', 'button', 'file'].includes(target.type)
+}
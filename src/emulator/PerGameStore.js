@@ -0,0 +1,76 @@
+/**
+ * PerGameStore
+ *
+ * localStorage persistence for small per-game settings — cheat lists, core
+ * option and DIP switch overrides. Games are keyed by ROM set name (e.g.
+ * 'sfa3'), like save states, so settings follow the game whichever zip it
+ * was loaded from. They are small JSON, so they live in localStorage next
+ * to the input bindings rather than in IndexedDB.
+ *
+ * @template T — a game's value: an array or a plain object
+ */
+
+const STORAGE_VERSION = 1
+
+export class PerGameStore {
+  /** @type {string} */
+  #storageKey
+
+  /** @type {T} Value for games with nothing stored */
+  #empty
+
+  /** @type {Record<string, T>} */
+  #games = {}
+
+  /**
+   * @param {string} storageKey — e.g. '3d-arcade:cheats'
+   * @param {T} empty — value for games with nothing stored ([] or {})
+   */
+  constructor(storageKey, empty) {
+    this.#storageKey = storageKey
+    this.#empty = empty
+    this.#load()
+  }
+
+  /**
+   * @param {string} game — ROM set name
+   * @returns {T} A copy of the game's value
+   */
+  get(game) {
+    return structuredClone(this.#games[game] ?? this.#empty)
+  }
+
+  /**
+   * Replace a game's value. An empty one removes the game.
+   * @param {string} game
+   * @param {T} value
+   */
+  put(game, value) {
+    if (Object.keys(value).length > 0) this.#games[game] = structuredClone(value)
+    else delete this.#games[game]
+    this.#save()
+  }
+
+  #load() {
+    try {
+      const raw = localStorage.getItem(this.#storageKey)
+      if (!raw) return
+      const data = JSON.parse(raw)
+      if (data?.version !== STORAGE_VERSION) return
+      this.#games = data.games ?? {}
+    } catch (err) {
+      console.warn(`[PerGameStore] ignoring unreadable ${this.#storageKey}:`, err)
+    }
+  }
+
+  #save() {
+    try {
+      localStorage.setItem(this.#storageKey, JSON.stringify({
+        version: STORAGE_VERSION,
+        games: this.#games,
+      }))
+    } catch (err) {
+      console.warn(`[PerGameStore] failed to save ${this.#storageKey}:`, err)
+    }
+  }
+}
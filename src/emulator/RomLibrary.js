@@ -0,0 +1,188 @@
+/**
+ * RomLibrary
+ *
+ * IndexedDB library of imported ROM zips, so a game is picked once and
+ * launched from the list afterwards. Each game keeps its system type and
+ * the name of its parent (or BIOS) zip. Zips are stored once by file name
+ * and shared, so a parent used by several clones takes space once and is
+ * only dropped when no game in the library refers to it any more.
+ *
+ * Modelled on EmulatorJS's EJS_STORAGE, with a store per record type
+ * instead of its key-list record. Nothing leaves the browser.
+ */
+
+import { openDatabase, request, done } from './IndexedDB.js'
+
+const DB_NAME = '3d-arcade-rom-library'
+const DB_VERSION = 1
+const GAMES = 'games'
+const FILES = 'files'
+
+/**
+ * @typedef {object} LibraryGame
+ * @property {string} id — ROM set name, the zip's name without .zip
+ * @property {string} title — DAT description, or the set name
+ * @property {string} systemType — CORE_MAP key
+ * @property {string} fileName
+ * @property {string | null} parentFileName
+ * @property {number} size — bytes of this game's zip plus its parent's
+ * @property {number} addedAt — epoch ms
+ * @property {number | null} lastPlayedAt — epoch ms
+ */
+
+/**
+ * @typedef {object} LibraryFile
+ * @property {string} name — zip file name, e.g. 'sfa3.zip'
+ * @property {Blob} data
+ * @property {number} size
+ */
+
+export class RomLibrary {
+  /** @type {Promise<IDBDatabase> | null} */
+  #db = null
+
+  /**
+   * Games in the library, most recently played first.
+   * @returns {Promise<LibraryGame[]>}
+   */
+  async list() {
+    const db = await this.#open()
+    const games = await request(db.transaction(GAMES).objectStore(GAMES).getAll())
+    return games.sort((a, b) => (b.lastPlayedAt ?? b.addedAt) - (a.lastPlayedAt ?? a.addedAt))
+  }
+
+  /**
+   * Add a game, or replace it if its set is already in the library.
+   *
+   * @param {object} game
+   * @param {File} game.file — named after its ROM set
+   * @param {File | null} game.parentFile
+   * @param {string} game.systemType
+   * @param {string} [game.title]
+   * @returns {Promise<LibraryGame>}
+   */
+  async add({ file, parentFile, systemType, title }) {
+    const db = await this.#open()
+    const id = file.name.replace(/\.[^.]+$/, '')
+    const previous = await request(db.transaction(GAMES).objectStore(GAMES).get(id))
+
+    /** @type {LibraryGame} */
+    const game = {
+      id,
+      title: title || id,
+      systemType,
+      fileName: file.name,
+      parentFileName: parentFile?.name ?? null,
+      size: file.size + (parentFile?.size ?? 0),
+      addedAt: previous?.addedAt ?? Date.now(),
+      lastPlayedAt: previous?.lastPlayedAt ?? null,
+    }
+
+    const tx = db.transaction([GAMES, FILES], 'readwrite')
+    tx.objectStore(FILES).put({ name: file.name, data: file, size: file.size })
+    if (parentFile) tx.objectStore(FILES).put({ name: parentFile.name, data: parentFile, size: parentFile.size })
+    tx.objectStore(GAMES).put(game)
+    await done(tx)
+
+    if (previous?.parentFileName && previous.parentFileName !== game.parentFileName) {
+      await this.#dropUnusedFiles([previous.parentFileName])
+    }
+    // Ask the browser not to evict the library under storage pressure
+    navigator.storage?.persist?.()?.catch(() => {})
+    return game
+  }
+
+  /**
+   * Get a game's zips ready for EmulatorBridge.loadROM() and mark it played.
+   *
+   * @param {string} id
+   * @returns {Promise<{ game: LibraryGame, file: File, parentFile: File | null }>}
+   */
+  async open(id) {
+    const db = await this.#open()
+    const game = await request(db.transaction(GAMES).objectStore(GAMES).get(id))
+    if (!game) throw new Error(`[RomLibrary] ${id} is not in the library`)
+
+    const files = db.transaction(FILES).objectStore(FILES)
+    const [record, parentRecord] = await Promise.all([
+      request(files.get(game.fileName)),
+      game.parentFileName ? request(files.get(game.parentFileName)) : null,
+    ])
+    if (!record) throw new Error(`[RomLibrary] zip for ${id} is missing from the library`)
+
+    game.lastPlayedAt = Date.now()
+    const tx = db.transaction(GAMES, 'readwrite')
+    tx.objectStore(GAMES).put(game)
+    await done(tx)
+
+    return {
+      game,
+      file: new File([record.data], record.name),
+      parentFile: parentRecord ? new File([parentRecord.data], parentRecord.name) : null,
+    }
+  }
+
+  /**
+   * Remove a game, and its zips unless another game still uses them.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const db = await this.#open()
+    const game = await request(db.transaction(GAMES).objectStore(GAMES).get(id))
+    if (!game) return
+
+    const tx = db.transaction(GAMES, 'readwrite')
+    tx.objectStore(GAMES).delete(id)
+    await done(tx)
+    await this.#dropUnusedFiles([game.fileName, game.parentFileName].filter(Boolean))
+  }
+
+  /**
+   * Bytes the library's zips take, and the browser's storage quota for the
+   * site when it reports one.
+   * @returns {Promise<{ used: number, quota: number | null }>}
+   */
+  async usage() {
+    const db = await this.#open()
+    // A key cursor on the size index reads sizes without loading the zips
+    const used = await new Promise((resolve, reject) => {
+      let total = 0
+      const req = db.transaction(FILES).objectStore(FILES).index('size').openKeyCursor()
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor) return resolve(total)
+        total += cursor.key
+        cursor.continue()
+      }
+      req.onerror = () => reject(req.error)
+    })
+    const estimate = await navigator.storage?.estimate?.()?.catch(() => null)
+    return { used, quota: estimate?.quota ?? null }
+  }
+
+  /**
+   * @param {string[]} fileNames — files that may have lost their last user
+   * @returns {Promise<void>}
+   */
+  async #dropUnusedFiles(fileNames) {
+    const db = await this.#open()
+    const games = await request(db.transaction(GAMES).objectStore(GAMES).getAll())
+    const used = new Set(games.flatMap((game) => [game.fileName, game.parentFileName]))
+
+    const tx = db.transaction(FILES, 'readwrite')
+    for (const name of fileNames) {
+      if (!used.has(name)) tx.objectStore(FILES).delete(name)
+    }
+    await done(tx)
+  }
+
+  /** @returns {Promise<IDBDatabase>} */
+  #open() {
+    this.#db ??= openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(GAMES, { keyPath: 'id' })
+      db.createObjectStore(FILES, { keyPath: 'name' }).createIndex('size', 'size')
+    })
+    return this.#db
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * SaveStateStore
+ *
+ * IndexedDB persistence for named save-state slots. One record per
+ * (game, slot) pair, holding the raw core state, a PNG thumbnail, when it
+ * was saved and how long the game had been played at that point.
+ *
+ * Games are keyed by ROM set name (e.g. 'sfa3'), the same name EmulatorJS
+ * uses, so slots follow the game regardless of which zip it was loaded from.
+ */
+
+import { openDatabase, request, done } from './IndexedDB.js'
+
+const DB_NAME = '3d-arcade-save-states'
+const DB_VERSION = 1
+const STORE = 'states'
+
+/**
+ * @typedef {object} SaveStateRecord
+ * @property {string} id — `${game}/${slot}`
+ * @property {string} game — ROM set name
+ * @property {string} slot — user-facing slot name
+ * @property {Uint8Array} state — raw core state from GameManager.getState()
+ * @property {Blob | null} thumbnail — PNG screenshot at save time
+ * @property {number} savedAt — epoch ms
+ * @property {number} playTimeMs — play time of the session when saved
+ */
+
+export class SaveStateStore {
+  /** @type {Promise<IDBDatabase> | null} */
+  #db = null
+
+  /**
+   * All slots for a game, newest first.
+   * @param {string} game
+   * @returns {Promise<SaveStateRecord[]>}
+   */
+  async list(game) {
+    const db = await this.#open()
+    const records = await request(db.transaction(STORE).objectStore(STORE).index('game').getAll(game))
+    return records.sort((a, b) => b.savedAt - a.savedAt)
+  }
+
+  /**
+   * @param {string} game
+   * @param {string} slot
+   * @returns {Promise<SaveStateRecord | undefined>}
+   */
+  async get(game, slot) {
+    const db = await this.#open()
+    return request(db.transaction(STORE).objectStore(STORE).get(slotId(game, slot)))
+  }
+
+  /**
+   * Create or overwrite a slot.
+   * @param {Omit<SaveStateRecord, 'id'>} record
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    const db = await this.#open()
+    const tx = db.transaction(STORE, 'readwrite')
+    tx.objectStore(STORE).put({ ...record, id: slotId(record.game, record.slot) })
+    await done(tx)
+  }
+
+  /**
+   * @param {string} game
+   * @param {string} slot
+   * @returns {Promise<void>}
+   */
+  async delete(game, slot) {
+    const db = await this.#open()
+    const tx = db.transaction(STORE, 'readwrite')
+    tx.objectStore(STORE).delete(slotId(game, slot))
+    await done(tx)
+  }
+
+  /** @returns {Promise<IDBDatabase>} */
+  #open() {
+    this.#db ??= openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('game', 'game')
+    })
+    return this.#db
+  }
+}
+
+/**
+ * @param {string} game
+ * @param {string} slot
+ */
+function slotId(game, slot) {
+  return `${game}/${slot}`
+}
@@ -0,0 +1,72 @@
+/**
+ * StateFile
+ *
+ * Portable save-state file format, so a state can be handed to someone who
+ * has the same ROM set without sharing the ROM itself.
+ *
+ * Layout (all integers little-endian):
+ *   0   8 bytes   magic "3DARCST\0"
+ *   8   uint32    header length N
+ *   12  N bytes   UTF-8 JSON header (StateFileHeader)
+ *   12+N …        raw core state, exactly as GameManager.getState() returned it
+ */
+
+const MAGIC = '3DARCST\0'
+const FORMAT_VERSION = 1
+
+export const STATE_FILE_EXTENSION = '.arcstate'
+
+/**
+ * @typedef {object} StateFileHeader
+ * @property {number} format — FORMAT_VERSION at write time
+ * @property {string} game — ROM set name, e.g. 'sfa3'
+ * @property {string} system — CORE_MAP key the game was loaded as
+ * @property {string} core — EmulatorJS core name, e.g. 'fbalpha2012_cps2'
+ * @property {string | null} coreVersion — core build stamp, if the core reports one
+ * @property {string | null} emulatorVersion — EmulatorJS version
+ * @property {string} slot — slot name it was exported from
+ * @property {number} savedAt — epoch ms
+ * @property {number} playTimeMs
+ */
+
+/**
+ * @param {StateFileHeader} header — `format` is filled in
+ * @param {Uint8Array} state
+ * @returns {Blob}
+ */
+export function encodeStateFile(header, state) {
+  const json = new TextEncoder().encode(JSON.stringify({ ...header, format: FORMAT_VERSION }))
+  const prefix = new Uint8Array(12)
+  prefix.set(new TextEncoder().encode(MAGIC), 0)
+  new DataView(prefix.buffer).setUint32(8, json.byteLength, true)
+  return new Blob([prefix, json, state], { type: 'application/octet-stream' })
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {{ header: StateFileHeader, state: Uint8Array }}
+ * @throws {Error} if the buffer is not a state file this build can read
+ */
+export function decodeStateFile(buffer) {
+  const bytes = new Uint8Array(buffer)
+  if (bytes.byteLength < 12 || new TextDecoder().decode(bytes.subarray(0, 8)) !== MAGIC) {
+    throw new Error('not a 3D Arcade save-state file')
+  }
+
+  const headerLength = new DataView(buffer).getUint32(8, true)
+  if (12 + headerLength > bytes.byteLength) {
+    throw new Error('save-state file is truncated')
+  }
+
+  let header
+  try {
+    header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)))
+  } catch {
+    throw new Error('save-state file header is corrupt')
+  }
+  if (header.format > FORMAT_VERSION) {
+    throw new Error(`save-state file format ${header.format} is newer than this build supports`)
+  }
+
+  return { header, state: bytes.slice(12 + headerLength) }
+}
@@ -0,0 +1,99 @@
+/**
+ * ZipDirectory
+ *
+ * Lists a zip's files — names, sizes and CRC-32s — from its central
+ * directory, without inflating anything. Only the end record and the
+ * directory itself are read from the File, so checking even a large set
+ * takes a couple of small reads. ZIP64 archives are supported.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50
+const EOCD_SIZE = 22
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50
+const ZIP64_EOCD_SIGNATURE = 0x06064b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+
+/** End record plus the longest possible archive comment */
+const EOCD_SEARCH_SIZE = EOCD_SIZE + 0xffff
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name — path inside the zip
+ * @property {number} size — uncompressed size in bytes
+ * @property {string} crc — CRC-32 as 8 lowercase hex digits, like DAT files
+ */
+
+/**
+ * @param {Blob} file
+ * @returns {Promise<ZipEntry[]>} Files in directory order; folders are left out
+ */
+export async function readZipDirectory(file) {
+  const tailStart = Math.max(0, file.size - EOCD_SEARCH_SIZE)
+  const tail = new DataView(await file.slice(tailStart).arrayBuffer())
+
+  let eocd = -1
+  for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new Error(`${file.name ?? 'file'} is not a zip archive`)
+
+  let count = tail.getUint16(eocd + 10, true)
+  let size = tail.getUint32(eocd + 12, true)
+  let offset = tail.getUint32(eocd + 16, true)
+
+  if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+    const locator = eocd - 20
+    if (locator < 0 || tail.getUint32(locator, true) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('zip64 end record locator not found')
+    }
+    const recordOffset = Number(tail.getBigUint64(locator + 8, true))
+    const record = new DataView(await file.slice(recordOffset, recordOffset + 56).arrayBuffer())
+    if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) throw new Error('zip64 end record not found')
+    count = Number(record.getBigUint64(32, true))
+    size = Number(record.getBigUint64(40, true))
+    offset = Number(record.getBigUint64(48, true))
+  }
+
+  const directory = new DataView(await file.slice(offset, offset + size).arrayBuffer())
+  const decoder = new TextDecoder()
+  /** @type {ZipEntry[]} */
+  const entries = []
+
+  let pos = 0
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > directory.byteLength || directory.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('zip central directory is damaged')
+    }
+    const crc = directory.getUint32(pos + 16, true)
+    let entrySize = directory.getUint32(pos + 24, true)
+    const nameLength = directory.getUint16(pos + 28, true)
+    const extraLength = directory.getUint16(pos + 30, true)
+    const commentLength = directory.getUint16(pos + 32, true)
+    const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength))
+
+    // ZIP64 extra field: the real size comes first when the header says 0xffffffff
+    if (entrySize === 0xffffffff) {
+      let extra = pos + 46 + nameLength
+      const extraEnd = extra + extraLength
+      while (extra + 4 <= extraEnd) {
+        const id = directory.getUint16(extra, true)
+        const length = directory.getUint16(extra + 2, true)
+        if (id === 0x0001) {
+          entrySize = Number(directory.getBigUint64(extra + 4, true))
+          break
+        }
+        extra += 4 + length
+      }
+    }
+
+    if (!name.endsWith('/')) {
+      entries.push({ name, size: entrySize, crc: crc.toString(16).padStart(8, '0') })
+    }
+    pos += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
@@ -2,6 +2,17 @@ import { EmulatorBridge } from './emulator/EmulatorBridge.js'
 import { SceneManager } from './scene/SceneManager.js'
 import { Overlay } from './ui/Overlay.js'
 import { ROMLoader } from './ui/ROMLoader.js'
+import { HUD } from './ui/HUD.js'
+import { SaveStatePanel } from './ui/SaveStatePanel.js'
+import { SpeedPanel } from './ui/SpeedPanel.js'
+import { SpeedIndicator } from './ui/SpeedIndicator.js'
+import { AudioPanel } from './ui/AudioPanel.js'
+import { CheatPanel } from './ui/CheatPanel.js'
+import { CoreOptionsPanel } from './ui/CoreOptionsPanel.js'
+import { DropZone } from './ui/DropZone.js'
+import { PauseMenu } from './ui/PauseMenu.js'
+import { AutoPause, AUTO_PAUSE_LABELS } from './ui/AutoPause.js'
+import { RecoveryDialog } from './ui/RecoveryDialog.js'
 
 /**
  * main.js — entry point
@@ -9,9 +20,14 @@ import { ROMLoader } from './ui/ROMLoader.js'
  * Boot order:
  *   1. Create EmulatorBridge (sets up hidden canvas in DOM)
  *   2. Create SceneManager (creates renderer, attaches to #app)
- *   3. Init scene assets (cabinet, environment, screen mesh)
+ *   3. Init scene assets (cabinet, environment, screen mesh, cabinet audio)
  *   4. Show ROM upload overlay
- *   5. After ROM loads → start RAF loop
+ *   5. After ROM loads → start RAF loop, show the in-game HUD
+ *   6. CHANGE GAME → unload the emulator, back to the ROM upload overlay
+ *   7. ROM zips dropped anywhere → ROMLoader, hot-swapping a running game
+ *   8. Esc / Select+Start in game → pause menu, with the panels above as entries
+ *   9. Tab hidden / window unfocused → auto-pause until any button is pressed
+ *  10. Core stalled or crashed → recovery dialog: reload from autosave, or quit
  */
 async function main() {
   const emulatorBridge = new EmulatorBridge('emulator-container')
@@ -22,10 +38,109 @@ async function main() {
   // Init scene assets in parallel with UI rendering
   await sceneManager.init()
 
+  // Texture upload counts and timings, for checking the upload budget
+  // from the console: arcadeUploadStats()
+  window.arcadeUploadStats = () => sceneManager.uploadStats
+
   const overlay = new Overlay()
 
-  new ROMLoader(overlay.element, emulatorBridge, overlay, () => {
+  const hud = new HUD()
+  const saveStatePanel = new SaveStatePanel(emulatorBridge, sceneManager.inputRouter)
+  hud.addButton('STATES', () => saveStatePanel.open())
+  const speedPanel = new SpeedPanel(emulatorBridge)
+  hud.addButton('SPEED', () => speedPanel.open())
+  new SpeedIndicator(emulatorBridge)
+
+  const coreOptionsPanel = new CoreOptionsPanel(emulatorBridge, sceneManager.inputRouter)
+  hud.addButton('SETTINGS', () => coreOptionsPanel.open())
+
+  const audioPanel = new AudioPanel(emulatorBridge, sceneManager.cabinetAudio, sceneManager.inputRouter)
+  hud.addButton('AUDIO', () => audioPanel.open())
+  const showMuted = (muted) => hud.setBadge('muted', muted ? 'MUTED' : null)
+  showMuted(emulatorBridge.audioSettings.muted)
+  emulatorBridge.addEventListener('audio-change', (e) => showMuted(e.detail.settings.muted))
+
+  const cheatPanel = new CheatPanel(emulatorBridge, sceneManager.inputRouter)
+  hud.addButton('CHEATS', () => cheatPanel.open())
+  // Flag cheating sessions so scores and recordings can be told apart
+  emulatorBridge.addEventListener('cheats-change', (e) => {
+    const { active } = e.detail
+    hud.setBadge('cheats', active > 0 ? `CHEATS ON: ${active}` : null)
+  })
+
+  const romLoader = new ROMLoader(overlay.element, emulatorBridge, overlay, sceneManager.inputRouter, () => {
     sceneManager.start()
+    hud.show()
+  })
+
+  const quitToLibrary = async () => {
+    hud.hide()
+    sceneManager.inputRouter.reset()
+    await emulatorBridge.unload()
+    overlay.show()
+    romLoader.show()
+  }
+
+  // Reload the core after a stall or crash, behind the spinner like a normal boot
+  const recoverGame = async () => {
+    hud.hide()
+    sceneManager.inputRouter.reset()
+    overlay.show()
+    overlay.showSpinner('Reloading emulator…')
+    const onProgress = (e) => overlay.showSpinner(e.detail.message)
+    emulatorBridge.addEventListener('loading-progress', onProgress)
+    try {
+      await emulatorBridge.recover()
+      overlay.hide()
+      hud.show()
+    } catch (err) {
+      console.error('[main] recovery failed:', err)
+      overlay.hideSpinner()
+      await quitToLibrary()
+    } finally {
+      emulatorBridge.removeEventListener('loading-progress', onProgress)
+    }
+  }
+  const recoveryDialog = new RecoveryDialog(emulatorBridge, recoverGame, quitToLibrary)
+
+  hud.addButton('CHANGE GAME', () => {
+    if (!confirm(`Quit ${emulatorBridge.gameName}? Progress that isn't in a save state will be lost.`)) return
+    quitToLibrary()
+  })
+
+  const autoPause = new AutoPause(emulatorBridge, sceneManager.inputRouter)
+
+  const panels = [saveStatePanel, speedPanel, coreOptionsPanel, audioPanel, cheatPanel]
+  const pauseMenu = new PauseMenu(emulatorBridge, sceneManager.inputRouter, () =>
+    emulatorBridge.isReady
+    && !overlay.isVisible
+    && !sceneManager.inputRouter.capturing
+    && !recoveryDialog.isOpen
+    && !panels.some((panel) => panel.isOpen)
+  )
+  pauseMenu.addItem('RESET GAME', () => emulatorBridge.restart(), {
+    confirm: 'RESET THE GAME? PROGRESS THAT ISN\'T IN A SAVE STATE WILL BE LOST.',
+  })
+  // Closing these panels goes back to the menu, with the game still paused
+  pauseMenu.addItem('SAVE / LOAD STATE', () => saveStatePanel.open(), { opensPanel: true })
+  pauseMenu.addItem('CHEATS', () => cheatPanel.open(), { opensPanel: true })
+  pauseMenu.addItem('SETTINGS', () => coreOptionsPanel.open(), { opensPanel: true })
+  pauseMenu.addItem('AUDIO', () => audioPanel.open(), { opensPanel: true })
+  const autoPauseModes = Object.keys(AUTO_PAUSE_LABELS)
+  pauseMenu.addItem(() => `AUTO-PAUSE: ${AUTO_PAUSE_LABELS[autoPause.mode]}`, () => {
+    autoPause.mode = autoPauseModes[(autoPauseModes.indexOf(autoPause.mode) + 1) % autoPauseModes.length]
+  }, { stayOpen: true })
+  pauseMenu.addItem('QUIT TO LIBRARY', quitToLibrary, {
+    keepPaused: true,
+    confirm: `QUIT THE GAME? PROGRESS THAT ISN'T IN A SAVE STATE WILL BE LOST.`,
+  })
+  hud.addButton('MENU', () => pauseMenu.open())
+
+  new DropZone((files) => {
+    romLoader.loadFiles(files, () => {
+      hud.hide()
+      sceneManager.inputRouter.reset()
+    })
   })
 }
 
@@ -3,14 +3,19 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js'
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js'
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js'
 import { CRTShader } from '../shaders/CRTShader.js'
+import { PauseShader } from '../shaders/PauseShader.js'
 
 /**
  * PostProcessor
  *
- * Sets up EffectComposer with a single CRT uber-shader pass.
+ * Sets up EffectComposer with a CRT uber-shader pass, and a pause pass
+ * that blurs and dims the whole view while the game is paused.
  *
  * Pass chain:
- *   RenderPass (full scene) → ShaderPass(CRTShader) → output
+ *   RenderPass (full scene) → ShaderPass(CRTShader) → ShaderPass(PauseShader) → output
+ *
+ * The pause pass is disabled while its uAmount is 0, so it costs nothing
+ * during play.
  *
  * The CRT shader runs on the full composer output (not just the screen quad),
  * which gives a subtle barrel and vignette effect over the whole scene.
@@ -23,6 +28,9 @@ export class PostProcessor {
   /** @type {ShaderPass} */
   crtPass
 
+  /** @type {ShaderPass} */
+  pausePass
+
   /**
    * @param {THREE.WebGLRenderer} renderer
    * @param {THREE.Scene} scene
@@ -38,6 +46,20 @@ export class PostProcessor {
       renderer.domElement.height
     )
     this.composer.addPass(this.crtPass)
+
+    this.pausePass = new ShaderPass(PauseShader)
+    this.pausePass.uniforms.uResolution.value.copy(this.crtPass.uniforms.uResolution.value)
+    this.pausePass.enabled = false
+    this.composer.addPass(this.pausePass)
+  }
+
+  /**
+   * Blur and dim the view for the pause menu.
+   * @param {number} amount — 0 (off) to 1 (fully paused look)
+   */
+  setPauseAmount(amount) {
+    this.pausePass.uniforms.uAmount.value = amount
+    this.pausePass.enabled = amount > 0.001
   }
 
   /**
@@ -48,5 +70,6 @@ export class PostProcessor {
   setSize(width, height) {
     this.composer.setSize(width, height)
     this.crtPass.uniforms.uResolution.value.set(width, height)
+    this.pausePass.uniforms.uResolution.value.set(width, height)
   }
 }
@@ -0,0 +1,141 @@
+import * as THREE from 'three'
+
+/**
+ * CabinetAudio
+ *
+ * Plays the emulator's sound from the cabinet's speaker grille instead of
+ * flat stereo, so orbiting the cabinet or walking away from it changes
+ * panning and volume.
+ *
+ * EmulatorJS mixes the core's audio into a master gain node on its own
+ * AudioContext (EmulatorBridge.audioOutput). Web Audio nodes can't be
+ * connected across contexts, so Three.js is pointed at that context before
+ * the AudioListener and PositionalAudio are built — which means building
+ * them again for every game, as each game gets a fresh context. The master
+ * gain is then unplugged from the speakers and plugged into the
+ * PositionalAudio instead.
+ *
+ * Flat mode plugs the master gain straight back into the speakers, as
+ * EmulatorJS had it. The choice persists in localStorage.
+ */
+
+const STORAGE_KEY = '3d-arcade:flat-audio'
+
+/** Distance (scene units) at which the cabinet plays at full volume */
+const REF_DISTANCE = 2
+
+/**
+ * Sound cone of the speaker: full volume within 180° in front of the
+ * cabinet, fading to 30% behind it
+ */
+const CONE = { inner: 180, outer: 300, outerGain: 0.3 }
+
+export class CabinetAudio {
+  /** @type {THREE.Camera} */
+  #camera
+
+  /** @type {THREE.Object3D} */
+  #speakerNode
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {boolean} */
+  #flat
+
+  /** @type {{ context: AudioContext, node: GainNode } | null} */
+  #output = null
+
+  /** @type {THREE.AudioListener | null} */
+  #listener = null
+
+  /** @type {THREE.PositionalAudio | null} */
+  #positional = null
+
+  /**
+   * @param {THREE.Camera} camera — the listener rides on it
+   * @param {THREE.Object3D} speakerNode — the sound comes from here, facing its +Z
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   */
+  constructor(camera, speakerNode, emulatorBridge) {
+    this.#camera = camera
+    this.#speakerNode = speakerNode
+    this.#emulatorBridge = emulatorBridge
+    this.#flat = localStorage.getItem(STORAGE_KEY) === 'true'
+
+    emulatorBridge.addEventListener('game-start', this.#attach)
+  }
+
+  /** @returns {boolean} Whether sound plays as flat stereo instead of from the cabinet */
+  get flat() {
+    return this.#flat
+  }
+
+  /** @param {boolean} flat */
+  set flat(flat) {
+    if (flat === this.#flat) return
+    this.#flat = flat
+    localStorage.setItem(STORAGE_KEY, String(flat))
+    this.#route()
+  }
+
+  /** A game started with a new AudioContext: build the 3D graph on it */
+  #attach = () => {
+    this.#detach()
+
+    const output = this.#emulatorBridge.audioOutput
+    if (!output) {
+      console.warn('[CabinetAudio] core audio not found — sound stays flat')
+      return
+    }
+    this.#output = output
+
+    THREE.AudioContext.setContext(output.context)
+    this.#listener = new THREE.AudioListener()
+    this.#camera.add(this.#listener)
+
+    this.#positional = new THREE.PositionalAudio(this.#listener)
+    this.#positional.setRefDistance(REF_DISTANCE)
+    this.#positional.setDirectionalCone(CONE.inner, CONE.outer, CONE.outerGain)
+    this.#speakerNode.add(this.#positional)
+
+    // unload() closes the context; let go of it rather than keep driving a dead graph
+    output.context.addEventListener('statechange', this.#onStateChange)
+
+    this.#route()
+    console.log(`[CabinetAudio] sound routed ${this.#flat ? 'flat' : 'through the cabinet speaker'}`)
+  }
+
+  #onStateChange = () => {
+    if (this.#output?.context.state === 'closed') this.#detach()
+  }
+
+  /** Point the core's master gain at the speakers or at the cabinet */
+  #route() {
+    if (!this.#output || !this.#positional) return
+    const { context, node } = this.#output
+
+    node.disconnect()
+    if (this.#flat) {
+      node.connect(context.destination)
+    } else {
+      // setNodeSource() connects node → panner → gain → listener → speakers
+      this.#positional.setNodeSource(node)
+    }
+  }
+
+  #detach() {
+    if (this.#output) {
+      this.#output.context.removeEventListener('statechange', this.#onStateChange)
+      if (this.#output.context.state !== 'closed') {
+        this.#output.node.disconnect()
+        this.#output.node.connect(this.#output.context.destination)
+      }
+    }
+    this.#positional?.removeFromParent()
+    this.#listener?.removeFromParent()
+    this.#output = null
+    this.#positional = null
+    this.#listener = null
+  }
+}
@@ -11,10 +11,11 @@ import * as THREE from 'three'
  *   2. Uncomment the GLTFLoader block below
  *   3. Delete the placeholder BoxGeometry block
  *   4. Ensure the screen mesh in Blender is named exactly "screen"
- *   5. Ensure cabinet base sits at Y=0 in Blender coordinate space
+ *   5. Ensure the speaker grille is named exactly "speaker", facing +Z
+ *   6. Ensure cabinet base sits at Y=0 in Blender coordinate space
  *
  * GLTF model conventions (for artist reference):
- *   - Separate meshes: body, bezel, marquee, control panel, screen
+ *   - Separate meshes: body, bezel, marquee, control panel, screen, speaker
  *   - Screen mesh UV-mapped to fill 0–1 range
  *   - Mild screen curvature baked into geometry (not flat plane)
  *   - Export as .glb, Draco compression optional
@@ -24,6 +25,12 @@ export class CabinetLoader {
   /** @type {THREE.Mesh} */
   screenNode = null
 
+  /** @type {THREE.Object3D} CabinetAudio plays the game's sound from here */
+  speakerNode = null
+
+  /** @type {boolean} */
+  #portrait = false
+
   /**
    * @param {THREE.Scene} scene
    * @returns {Promise<void>}
@@ -35,6 +42,19 @@ export class CabinetLoader {
     // return this.#loadGLTF(scene)
   }
 
+  /**
+   * Turn the monitor for vertical (TATE) games: 90° counter-clockwise about
+   * its own centre, as vertical cabinets mount a standard tube on its side.
+   * ScreenMesh turns the picture back upright.
+   *
+   * @param {boolean} portrait
+   */
+  setScreenOrientation(portrait) {
+    if (!this.screenNode || portrait === this.#portrait) return
+    this.#portrait = portrait
+    this.screenNode.rotateZ(portrait ? Math.PI / 2 : -Math.PI / 2)
+  }
+
   #loadPlaceholder(scene) {
     // Cabinet body — 0.8w × 1.6h × 0.5d, base at Y=0
     const cabinetGroup = new THREE.Group()
@@ -82,6 +102,20 @@ export class CabinetLoader {
 
     this.screenNode = screenMesh
 
+    // Speaker grille — between the screen and the top of the cabinet
+    const speakerGeo = new THREE.PlaneGeometry(0.5, 0.12)
+    const speakerMat = new THREE.MeshStandardMaterial({
+      color: 0x05050c,
+      roughness: 0.9,
+      metalness: 0.0,
+    })
+    const speakerMesh = new THREE.Mesh(speakerGeo, speakerMat)
+    speakerMesh.name = 'speaker'
+    speakerMesh.position.set(0, 1.35, 0.251)
+    cabinetGroup.add(speakerMesh)
+
+    this.speakerNode = speakerMesh
+
     scene.add(cabinetGroup)
     return Promise.resolve()
   }
@@ -105,6 +139,9 @@ export class CabinetLoader {
   //           this.screenNode = node
   //           return  // ScreenMesh will configure the material
   //         }
+  //         if (node.name === 'speaker') {
+  //           this.speakerNode = node
+  //         }
   //         if (node.name.includes('bezel')) {
   //           node.material.roughness = 0.3
   //           node.material.metalness = 0.1
@@ -2,10 +2,20 @@ import * as THREE from 'three'
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
 import { CabinetLoader } from './CabinetLoader.js'
 import { ScreenMesh } from './ScreenMesh.js'
+import { CabinetAudio } from './CabinetAudio.js'
 import { Environment } from './Environment.js'
 import { PostProcessor } from '../postprocessing/PostProcessor.js'
 import { InputRouter } from '../emulator/InputRouter.js'
 
+/**
+ * Camera position and orbit target per monitor orientation. The portrait
+ * monitor is taller and its centre lower, so the view re-centres on it.
+ */
+const FRAMING = {
+  landscape: { position: new THREE.Vector3(0, 1.2, 3.5), target: new THREE.Vector3(0, 1.0, 0) },
+  portrait: { position: new THREE.Vector3(0, 1.1, 3.5), target: new THREE.Vector3(0, 0.9, 0) },
+}
+
 /**
  * SceneManager
  *
@@ -14,9 +24,17 @@ import { InputRouter } from '../emulator/InputRouter.js'
  *
  * Master RAF loop order:
  *   1. inputRouter.poll() — gamepad state
- *   2. texture.needsUpdate — stream latest emulator frame to GPU
- *   3. uTime update — drive CRT flicker uniform
+ *   2. texture upload — only when the core has produced a new frame
+ *      (EmulatorBridge.frameNumber moved); paused games and refresh rates
+ *      above the game's 60 Hz would otherwise re-upload the same frame
+ *   3. uTime / uRewind / pause update — drive CRT flicker, the rewind cue
+ *      and the paused blur
  *   4. postProcessor.composer.render() — draw everything
+ *
+ * Uploads are done up front with renderer.initTexture() rather than left
+ * to the render, so their cost can be timed on their own: uploadStats
+ * holds counts and timings to check against the design doc's < 2 ms
+ * CanvasTexture upload budget.
  */
 export class SceneManager {
   /** @type {THREE.WebGLRenderer} */
@@ -43,12 +61,27 @@ export class SceneManager {
   /** @type {ScreenMesh | null} */
   #screenMesh = null
 
+  /** @type {CabinetAudio | null} */
+  #cabinetAudio = null
+
+  /** @type {CabinetLoader | null} */
+  #cabinetLoader = null
+
+  /** @type {'landscape' | 'portrait'} Orientation the monitor and camera are set up for */
+  #orientation = 'landscape'
+
   /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
   #emulatorBridge
 
   /** @type {number | null} */
   #rafId = null
 
+  /** @type {number | null} EmulatorBridge.frameNumber at the last upload */
+  #uploadedFrame = null
+
+  /** @type {{ uploads: number, skipped: number, totalMs: number, maxMs: number, lastMs: number }} */
+  #uploadStats = { uploads: 0, skipped: 0, totalMs: 0, maxMs: 0, lastMs: 0 }
+
   /**
    * @param {HTMLElement} container — the #app div
    * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
@@ -66,6 +99,8 @@ export class SceneManager {
     this.#inputRouter = new InputRouter(emulatorBridge, this.renderer.domElement)
 
     window.addEventListener('resize', this.#onResize)
+    emulatorBridge.addEventListener('resolution-change', this.#onResolutionChange)
+    emulatorBridge.addEventListener('game-start', this.#onGameStart)
   }
 
   /**
@@ -75,6 +110,7 @@ export class SceneManager {
   async init() {
     const cabinetLoader = new CabinetLoader()
     await cabinetLoader.load(this.scene)
+    this.#cabinetLoader = cabinetLoader
 
     new Environment(this.scene)
 
@@ -82,6 +118,38 @@ export class SceneManager {
       cabinetLoader.screenNode,
       this.#emulatorBridge.outputCanvas
     )
+
+    this.#cabinetAudio = new CabinetAudio(
+      this.camera,
+      cabinetLoader.speakerNode,
+      this.#emulatorBridge
+    )
+  }
+
+  /** @returns {InputRouter} */
+  get inputRouter() {
+    return this.#inputRouter
+  }
+
+  /**
+   * Emulator frame uploads since start (or the last resetUploadStats()):
+   * how many frames were uploaded, how many ticks were skipped because the
+   * frame hadn't changed, and how long the uploads took on the CPU side.
+   *
+   * @returns {{ uploads: number, skipped: number, lastMs: number, averageMs: number, maxMs: number }}
+   */
+  get uploadStats() {
+    const { uploads, skipped, totalMs, maxMs, lastMs } = this.#uploadStats
+    return { uploads, skipped, lastMs, averageMs: uploads ? totalMs / uploads : 0, maxMs }
+  }
+
+  resetUploadStats() {
+    this.#uploadStats = { uploads: 0, skipped: 0, totalMs: 0, maxMs: 0, lastMs: 0 }
+  }
+
+  /** @returns {CabinetAudio | null} null until init() has run */
+  get cabinetAudio() {
+    return this.#cabinetAudio
   }
 
   start() {
@@ -122,15 +190,15 @@ export class SceneManager {
       0.1,
       100
     )
-    this.camera.position.set(0, 1.2, 3.5)
-    this.camera.lookAt(0, 1.0, 0)
+    this.camera.position.copy(FRAMING.landscape.position)
+    this.camera.lookAt(FRAMING.landscape.target)
   }
 
   #initControls() {
     this.#controls = new OrbitControls(this.camera, this.renderer.domElement)
     this.#controls.enableDamping = true
     this.#controls.dampingFactor = 0.05
-    this.#controls.target.set(0, 1.0, 0)
+    this.#controls.target.copy(FRAMING.landscape.target)
     this.#controls.minPolarAngle = 0.2           // don't go above cabinet
     this.#controls.maxPolarAngle = Math.PI / 2   // don't go below floor
     this.#controls.minDistance = 1.0
@@ -143,20 +211,36 @@ export class SceneManager {
     // 1. Poll gamepad input
     this.#inputRouter.poll()
 
-    // 2. Stream latest emulator frame to GPU
-    if (this.#emulatorBridge.isReady && this.#screenMesh) {
-      // Swap texture source to the live EJS canvas if it changed (happens once after game start)
-      const ejsCanvas = this.#emulatorBridge.outputCanvas
-      if (this.#screenMesh.texture.image !== ejsCanvas) {
-        this.#screenMesh.texture.image = ejsCanvas
-        console.log('[SceneManager] texture source swapped to EJS canvas', ejsCanvas.width, 'x', ejsCanvas.height)
+    // 2. Stream the emulator frame to GPU if it's a new one
+    if (this.#screenMesh) {
+      // Swap texture source when it changes: to the live EJS canvas after
+      // game start, back to the placeholder after unload
+      const source = this.#emulatorBridge.outputCanvas
+      if (this.#screenMesh.texture.image !== source) {
+        this.#screenMesh.setSource(source)
+        this.#uploadedFrame = null
+        if (!this.#emulatorBridge.isReady) this.#screenMesh.setPicture(null)
+        console.log('[SceneManager] texture source swapped', source.width, 'x', source.height)
       }
-      this.#screenMesh.texture.needsUpdate = true
+      if (this.#emulatorBridge.isReady) this.#uploadFrame()
     }
 
-    // 3. Update CRT time uniform
-    const elapsed = this.#clock.getElapsedTime()
-    this.#postProcessor.crtPass.uniforms.uTime.value = elapsed
+    // 3. Update CRT time and rewind uniforms
+    const delta = this.#clock.getDelta()
+    const elapsed = this.#clock.elapsedTime
+    const uniforms = this.#postProcessor.crtPass.uniforms
+    uniforms.uTime.value = elapsed
+
+    // Ease the rewind cue in/out over ~150 ms so it doesn't pop
+    const rewindTarget = this.#emulatorBridge.isRewinding ? 1 : 0
+    const rewindStep = Math.min(delta / 0.15, 1)
+    uniforms.uRewind.value += (rewindTarget - uniforms.uRewind.value) * rewindStep
+
+    // Same easing for the paused blur and dim, over ~250 ms
+    const pauseUniform = this.#postProcessor.pausePass.uniforms.uAmount
+    const pauseTarget = this.#emulatorBridge.isPaused ? 1 : 0
+    const pauseStep = Math.min(delta / 0.25, 1)
+    this.#postProcessor.setPauseAmount(pauseUniform.value + (pauseTarget - pauseUniform.value) * pauseStep)
 
     // 4. Update orbit controls (needed for damping)
     this.#controls.update()
@@ -165,6 +249,28 @@ export class SceneManager {
     this.#postProcessor.composer.render()
   }
 
+  #uploadFrame() {
+    const frame = this.#emulatorBridge.frameNumber
+    // Without a frame counter, upload every tick rather than risk a frozen screen
+    if (frame !== null && frame === this.#uploadedFrame) {
+      this.#uploadStats.skipped++
+      return
+    }
+    this.#uploadedFrame = frame
+
+    const texture = this.#screenMesh.texture
+    texture.needsUpdate = true
+    const start = performance.now()
+    this.renderer.initTexture(texture)
+    const ms = performance.now() - start
+
+    const stats = this.#uploadStats
+    stats.uploads++
+    stats.totalMs += ms
+    stats.lastMs = ms
+    stats.maxMs = Math.max(stats.maxMs, ms)
+  }
+
   #onResize = () => {
     const w = window.innerWidth
     const h = window.innerHeight
@@ -175,4 +281,44 @@ export class SceneManager {
     this.renderer.setSize(w, h)
     this.#postProcessor.setSize(w, h)
   }
+
+  /** The game switched resolution mid-run: reallocate the screen texture */
+  #onResolutionChange = (e) => {
+    if (!this.#screenMesh) return
+    const { width, height } = e.detail
+    this.#screenMesh.setSource(this.#emulatorBridge.outputCanvas)
+    console.log('[SceneManager] screen texture resized', width, 'x', height)
+    this.#applyPicture()
+  }
+
+  #onGameStart = () => {
+    this.#applyPicture()
+  }
+
+  /**
+   * Map the game's picture onto the screen, turn the monitor for vertical
+   * games and back for landscape ones, and re-frame the camera when the
+   * orientation changes.
+   */
+  #applyPicture() {
+    if (!this.#screenMesh) return
+    const geometry = this.#emulatorBridge.videoGeometry
+    if (!geometry) return
+
+    const orientation = geometry.portrait ? 'portrait' : 'landscape'
+    this.#cabinetLoader.setScreenOrientation(geometry.portrait)
+    this.#screenMesh.setPicture({
+      systemType: this.#emulatorBridge.systemType,
+      aspect: geometry.aspect,
+      portrait: geometry.portrait,
+    })
+    if (orientation === this.#orientation) return
+
+    this.#orientation = orientation
+    const { position, target } = FRAMING[orientation]
+    this.camera.position.copy(position)
+    this.#controls.target.copy(target)
+    this.#controls.update()
+    console.log(`[SceneManager] ${orientation} monitor for ${geometry.width}x${geometry.height} (aspect ${geometry.aspect.toFixed(2)})`)
+  }
 }
@@ -7,13 +7,67 @@ import * as THREE from 'three'
  * screen mesh node. Uses MeshBasicMaterial so the screen is self-illuminated
  * and unaffected by scene lighting (correct for a CRT).
  *
- * Call texture.needsUpdate = true each frame from SceneManager to stream
- * the latest emulator frame to the GPU.
+ * SceneManager streams emulator frames to the GPU: it flags the texture
+ * and uploads it with renderer.initTexture() only when the core's frame
+ * number (EmulatorBridge.frameNumber) has moved since the last upload.
+ *
+ * Picture mapping:
+ *   The canvas is not mapped 1:1 onto the screen. RetroArch draws the game
+ *   in the middle of the canvas at the core's aspect; that picture is cut
+ *   out, its overscan cropped per system, and it is shown at the system's
+ *   display aspect — CPS and Neo Geo games were drawn for a 4:3 tube, with
+ *   non-square pixels — with black bars where it is narrower or wider than
+ *   the screen. The mapping is a UV matrix on the texture plus a mask in the
+ *   material for the bars, so it costs nothing per frame. setSource() and
+ *   setPicture() recompute it, so resolution changes mid-game are followed.
+ *
+ * Vertical (TATE) games: the cabinet turns its monitor on its side
+ * (CabinetLoader.setScreenOrientation) and the mapping turns the picture
+ * back upright; the tube's aspect and overscan turn with it.
+ */
+
+/**
+ * @typedef {object} SystemDisplay
+ * @property {number | null} aspect — display aspect of the monitor the
+ *   system was made for; null trusts the core's aspect
+ * @property {{ x: number, y: number }} overscan — share of the picture's
+ *   width / height hidden under the bezel on each side
  */
+
+/** @type {Record<string, SystemDisplay>} */
+const SYSTEM_DISPLAY = {
+  cps1: { aspect: 4 / 3, overscan: { x: 0, y: 0 } },
+  cps2: { aspect: 4 / 3, overscan: { x: 0, y: 0 } },
+  // The Neo Geo outputs 320 columns; the outer 8 on either side are never drawn
+  neo: { aspect: 4 / 3, overscan: { x: 8 / 320, y: 0 } },
+}
+
+/** @type {SystemDisplay} */
+const DEFAULT_DISPLAY = { aspect: null, overscan: { x: 0, y: 0 } }
+
+/**
+ * @typedef {object} Picture
+ * @property {string | null} systemType — CORE_MAP key, for the system's display
+ * @property {number} aspect — aspect the core asked RetroArch to draw at
+ * @property {boolean} portrait — vertical game on a turned monitor
+ */
+
 export class ScreenMesh {
   /** @type {THREE.CanvasTexture} */
   texture
 
+  /** @type {{ width: number, height: number }} Size the GPU texture was allocated at */
+  #size
+
+  /** @type {number} Width / height of the screen mesh, as it stands upright */
+  #screenAspect
+
+  /** @type {Picture | null} null shows the whole canvas (placeholder) */
+  #picture = null
+
+  /** @type {{ value: THREE.Vector4 }} Texture UV rect of the visible picture; outside is black */
+  #pictureRect = { value: new THREE.Vector4(0, 0, 1, 1) }
+
   /**
    * @param {THREE.Mesh} screenNode — the mesh whose material will be replaced
    * @param {HTMLCanvasElement} emulatorCanvas — the emulator's output canvas
@@ -23,12 +77,117 @@ export class ScreenMesh {
     texture.minFilter = THREE.LinearFilter
     texture.magFilter = THREE.LinearFilter
     texture.colorSpace = THREE.SRGBColorSpace
+    texture.matrixAutoUpdate = false
 
-    screenNode.material = new THREE.MeshBasicMaterial({
+    const material = new THREE.MeshBasicMaterial({
       map: texture,
       toneMapped: false,  // CRITICAL: don't apply scene tone mapping — CRT shader handles it
     })
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.uPictureRect = this.#pictureRect
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <map_pars_fragment>', '#include <map_pars_fragment>\nuniform vec4 uPictureRect;')
+        .replace('#include <map_fragment>', `#include <map_fragment>
+          vec2 insidePicture = step(uPictureRect.xy, vMapUv) * step(vMapUv, uPictureRect.zw);
+          diffuseColor.rgb *= insidePicture.x * insidePicture.y;`)
+    }
+    screenNode.material = material
+
+    screenNode.geometry.computeBoundingBox()
+    const bounds = screenNode.geometry.boundingBox.getSize(new THREE.Vector3())
+    this.#screenAspect = bounds.y > 0 ? bounds.x / bounds.y : 4 / 3
 
     this.texture = texture
+    this.#size = { width: emulatorCanvas.width, height: emulatorCanvas.height }
+    this.#updateMapping()
+  }
+
+  /**
+   * Point the texture at a new canvas (game start, or back to the
+   * placeholder after unload), or at the same canvas after it was resized.
+   * A size change needs a fresh GPU texture, since three.js allocates
+   * immutable texture storage on first upload.
+   *
+   * @param {HTMLCanvasElement} canvas
+   */
+  setSource(canvas) {
+    if (this.#size.width !== canvas.width || this.#size.height !== canvas.height) {
+      this.texture.dispose()
+      this.#size = { width: canvas.width, height: canvas.height }
+    }
+    this.texture.image = canvas
+    this.texture.needsUpdate = true
+    this.#updateMapping()
+  }
+
+  /**
+   * Describe the game picture in the canvas, or pass null to show the
+   * whole canvas as it is.
+   * @param {Picture | null} picture
+   */
+  setPicture(picture) {
+    this.#picture = picture
+    this.#updateMapping()
+  }
+
+  #updateMapping() {
+    const matrix = this.texture.matrix
+    const picture = this.#picture
+    const { width, height } = this.#size
+    if (!picture || !width || !height) {
+      matrix.identity()
+      this.#pictureRect.value.set(0, 0, 1, 1)
+      return
+    }
+
+    const display = SYSTEM_DISPLAY[picture.systemType] ?? DEFAULT_DISPLAY
+    // A turned tube: its width runs up the screen
+    const tubeAspect = display.aspect === null
+      ? picture.aspect
+      : picture.portrait ? 1 / display.aspect : display.aspect
+    const overscan = picture.portrait
+      ? { x: display.overscan.y, y: display.overscan.x }
+      : display.overscan
+
+    // Where RetroArch drew the picture: centred, at the core's aspect
+    const canvasAspect = width / height
+    const drawnWidth = canvasAspect > picture.aspect ? picture.aspect / canvasAspect : 1
+    const drawnHeight = canvasAspect > picture.aspect ? 1 : canvasAspect / picture.aspect
+
+    // Texture rect of the visible picture, overscan cropped
+    const rectWidth = drawnWidth * (1 - 2 * overscan.x)
+    const rectHeight = drawnHeight * (1 - 2 * overscan.y)
+    const rectX = (1 - rectWidth) / 2
+    const rectY = (1 - rectHeight) / 2
+    this.#pictureRect.value.set(rectX, rectY, rectX + rectWidth, rectY + rectHeight)
+
+    // Fit the visible picture into the screen as the viewer sees it, with
+    // letterbox or pillarbox bars
+    const pictureAspect = tubeAspect * (1 - 2 * overscan.x) / (1 - 2 * overscan.y)
+    const screenAspect = picture.portrait ? 1 / this.#screenAspect : this.#screenAspect
+    const bandWidth = pictureAspect < screenAspect ? pictureAspect / screenAspect : 1
+    const bandHeight = pictureAspect < screenAspect ? 1 : screenAspect / pictureAspect
+
+    // Screen position s (0–1, as the viewer sees it) → texture uv:
+    // t = rect origin + (s - band origin) / band size * rect size
+    const scaleX = rectWidth / bandWidth
+    const scaleY = rectHeight / bandHeight
+    const offsetX = rectX - scaleX * (1 - bandWidth) / 2
+    const offsetY = rectY - scaleY * (1 - bandHeight) / 2
+
+    if (picture.portrait) {
+      // The mesh is turned 90° counter-clockwise: s = (1 - v, u)
+      matrix.set(
+        0, -scaleX, scaleX + offsetX,
+        scaleY, 0, offsetY,
+        0, 0, 1,
+      )
+    } else {
+      matrix.set(
+        scaleX, 0, offsetX,
+        0, scaleY, offsetY,
+        0, 0, 1,
+      )
+    }
   }
 }
@@ -8,6 +8,7 @@ uniform float uBarrelStrength;
 uniform float uChromaticAberration;
 uniform float uVignetteStrength;
 uniform float uBrightness;
+uniform float uRewind;
 
 vec2 barrelDistort(vec2 uv, float strength) {
   vec2 cc = uv - 0.5;
@@ -34,8 +35,14 @@ void main() {
     return;
   }
 
+  // Rewind: VHS-style tracking band rolling up the screen, with a small
+  // horizontal tear inside it
+  float band = fract(uv.y + uTime * 0.6);
+  float inBand = smoothstep(0.0, 0.04, band) * (1.0 - smoothstep(0.04, 0.1, band)) * uRewind;
+  uv.x += inBand * 0.01 * sin(uv.y * 400.0 + uTime * 90.0);
+
   // Sample with chromatic aberration
-  vec4 color = sampleChromatic(tDiffuse, uv, uChromaticAberration);
+  vec4 color = sampleChromatic(tDiffuse, uv, uChromaticAberration * (1.0 + 2.0 * uRewind));
 
   // Scanlines — modulate brightness based on vertical screen pixel position
   float scanline = sin(uv.y * uResolution.y * 3.14159265) * 0.5 + 0.5;
@@ -49,10 +56,14 @@ void main() {
   // Brightness
   color.rgb *= uBrightness;
 
-  // Subtle time-based flicker (very faint)
-  float flicker = 1.0 + sin(uTime * 60.0) * 0.003;
+  // Subtle time-based flicker (very faint); reversed and much stronger while rewinding
+  float flicker = 1.0 + sin(uTime * 60.0) * mix(0.003, -0.04, uRewind);
   color.rgb *= flicker;
 
+  // Rewind: cool tint and a brighter tracking band
+  color.rgb = mix(color.rgb, color.rgb * vec3(0.8, 0.95, 1.2), uRewind);
+  color.rgb += inBand * 0.12;
+
   // Vignette
   vec2 vigUv = uv * (1.0 - uv.yx);
   float vignette = vigUv.x * vigUv.y * 15.0;
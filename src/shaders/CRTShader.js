@@ -19,6 +19,7 @@ export const CRTShader = {
     uChromaticAberration: { value: 0.003 },
     uVignetteStrength: { value: 0.4 },
     uBrightness: { value: 1.1 },
+    uRewind: { value: 0 },        // 0–1, eased in while rewind is held
   },
   vertexShader,
   fragmentShader,
@@ -0,0 +1,29 @@
+varying vec2 vUv;
+
+uniform sampler2D tDiffuse;
+uniform vec2 uResolution;
+uniform float uAmount;
+
+// 13-tap blur on a disc; radius grows with uAmount
+const int TAPS = 12;
+
+void main() {
+  vec2 texel = 1.0 / uResolution;
+  float radius = 6.0 * uAmount;
+
+  vec3 color = texture2D(tDiffuse, vUv).rgb;
+  for (int i = 0; i < TAPS; i++) {
+    float angle = float(i) * 6.2831853 / float(TAPS);
+    // Alternate two rings so the taps cover the disc, not just its edge
+    float ring = mod(float(i), 2.0) == 0.0 ? 1.0 : 0.5;
+    vec2 offset = vec2(cos(angle), sin(angle)) * radius * ring * texel;
+    color += texture2D(tDiffuse, vUv + offset).rgb;
+  }
+  color /= float(TAPS + 1);
+
+  // Dim, with a slight cool shift so the paused scene reads as inactive
+  color *= mix(1.0, 0.45, uAmount);
+  color = mix(color, color * vec3(0.85, 0.95, 1.1), uAmount);
+
+  gl_FragColor = vec4(color, 1.0);
+}
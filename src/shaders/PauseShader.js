@@ -0,0 +1,20 @@
+import * as THREE from 'three'
+import fragmentShader from './PauseShader.glsl?raw'
+
+const vertexShader = /* glsl */ `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`
+
+export const PauseShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uResolution: { value: new THREE.Vector2() },
+    uAmount: { value: 0 },        // 0–1, eased in while the game is paused
+  },
+  vertexShader,
+  fragmentShader,
+}
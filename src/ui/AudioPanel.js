@@ -0,0 +1,141 @@
+/**
+ * AudioPanel
+ *
+ * Modal for sound: master volume, mute, ambience volume, how far sound
+ * ducks while paused or in the background, and 3D (cabinet speaker) or
+ * flat output. Everything but the 3D/flat switch is EmulatorBridge's audio
+ * state, so the mute hotkey and any other UI stay in step with it. The game
+ * keeps running while the panel is open so changes can be heard.
+ */
+
+import { PadNavigation } from './PadNavigation.js'
+import { CONTROL_STYLE, createModal } from './ModalPanel.js'
+
+/** duckVolume choices: share of the volume kept while ducked */
+const DUCK_OPTIONS = [
+  { value: 1, label: 'KEEP PLAYING' },
+  { value: 0.5, label: 'DUCK TO 50%' },
+  { value: 0.2, label: 'DUCK TO 20%' },
+  { value: 0, label: 'MUTE' },
+]
+
+export class AudioPanel {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {PadNavigation} */
+  #padNavigation
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {import('../scene/CabinetAudio.js').CabinetAudio} */
+  #cabinetAudio
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {import('../scene/CabinetAudio.js').CabinetAudio} cabinetAudio
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(emulatorBridge, cabinetAudio, inputRouter) {
+    this.#emulatorBridge = emulatorBridge
+    this.#cabinetAudio = cabinetAudio
+
+    this.#el = createModal('audio-panel', { backdrop: 'rgba(0, 0, 0, 0.5)' })
+    this.#padNavigation = new PadNavigation(inputRouter, this.#el, () => this.close())
+
+    // Follow the mute hotkey while open. Sliders are left alone mid-drag.
+    emulatorBridge.addEventListener('audio-change', () => {
+      if (this.isOpen) this.#syncMute()
+    })
+  }
+
+  open() {
+    this.#render()
+    this.#el.style.display = 'flex'
+    this.#padNavigation.attach()
+  }
+
+  close() {
+    this.#el.style.display = 'none'
+    this.#padNavigation.detach()
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const { volume, muted, ambientVolume, duckVolume } = this.#emulatorBridge.audioSettings
+    const flat = this.#cabinetAudio.flat
+    const active = (on) => on ? ' border-color:#0ff; box-shadow:0 0 10px #0ff6;' : ''
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 14px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(400px, 92vw);
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">AUDIO</h2>
+
+        <div style="display:grid; grid-template-columns: 1fr 150px 40px; gap:8px; align-items:center;">
+          <span style="color:#4af;">VOLUME</span>
+          <input type="range" data-role="volume" min="0" max="100" value="${Math.round(volume * 100)}" />
+          <span data-role="volume-value" style="text-align:right;">${Math.round(volume * 100)}</span>
+          <span style="color:#4af;">AMBIENCE</span>
+          <input type="range" data-role="ambient" min="0" max="100" value="${Math.round(ambientVolume * 100)}" />
+          <span data-role="ambient-value" style="text-align:right;">${Math.round(ambientVolume * 100)}</span>
+        </div>
+
+        <div style="display:grid; grid-template-columns: 1fr 190px; gap:8px; align-items:center;">
+          <span style="color:#4af;">PAUSED / IN BACKGROUND</span>
+          <select data-role="duck" style="${CONTROL_STYLE}">
+            ${DUCK_OPTIONS.map(({ value, label }) => `<option value="${value}"${value === duckVolume ? ' selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+
+        <div style="display:flex; gap:8px;">
+          <button data-output="3d" style="${CONTROL_STYLE} flex:1;${active(!flat)}">3D CABINET</button>
+          <button data-output="flat" style="${CONTROL_STYLE} flex:1;${active(flat)}">FLAT STEREO</button>
+        </div>
+
+        <button data-role="mute" style="${CONTROL_STYLE}">${muted ? 'UNMUTE' : 'MUTE'}</button>
+
+        <p style="margin:0; color:#0ff6; font-size:10px; line-height:1.6;">
+          PRESS M TO MUTE (REBIND IN CONTROLS)
+        </p>
+
+        <button data-role="close" style="${CONTROL_STYLE}">CLOSE</button>
+      </div>
+    `
+
+    for (const [role, setting] of [['volume', 'volume'], ['ambient', 'ambientVolume']]) {
+      this.#el.querySelector(`[data-role="${role}"]`).addEventListener('input', (e) => {
+        this.#el.querySelector(`[data-role="${role}-value"]`).textContent = e.target.value
+        this.#emulatorBridge.setAudioSettings({ [setting]: Number(e.target.value) / 100 })
+      })
+    }
+    this.#el.querySelector('[data-role="duck"]').addEventListener('change', (e) => {
+      this.#emulatorBridge.setAudioSettings({ duckVolume: Number(e.target.value) })
+    })
+    for (const button of this.#el.querySelectorAll('[data-output]')) {
+      button.addEventListener('click', () => {
+        this.#cabinetAudio.flat = button.dataset.output === 'flat'
+        this.#render()
+      })
+    }
+    this.#el.querySelector('[data-role="mute"]').addEventListener('click', () => this.#emulatorBridge.toggleMute())
+    this.#el.querySelector('[data-role="close"]').addEventListener('click', () => this.close())
+  }
+
+  #syncMute() {
+    const button = this.#el.querySelector('[data-role="mute"]')
+    if (button) button.textContent = this.#emulatorBridge.audioSettings.muted ? 'UNMUTE' : 'MUTE'
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * AutoPause
+ *
+ * Pauses the game when the player leaves the page — the tab is hidden, or
+ * (by default) the window loses focus — instead of letting it play on
+ * unseen, or stall with its audio when the browser throttles the tab. When
+ * the player is back, a "press any button" prompt holds the game until any
+ * key, pad button or click, so it doesn't restart before hands are back on
+ * the controls. Input that arrives in the first moments after returning
+ * (the click or Alt+Tab that brought the window back) doesn't count.
+ *
+ * While the prompt is up, InputRouter.enterMenu() keeps the pads away from
+ * the game, and keys are caught before the pause menu or the game see them.
+ * Games someone else paused (the pause menu, the state browser) are left
+ * alone. The mode persists in localStorage; InputRouter releases held keys
+ * on leaving the page either way.
+ */
+
+const STORAGE_KEY = '3d-arcade:auto-pause'
+
+/**
+ * @typedef {'blur' | 'hidden' | 'off'} AutoPauseMode
+ * blur pauses on a hidden tab or an unfocused window, hidden only on a
+ * hidden tab
+ */
+
+/** @type {Record<AutoPauseMode, string>} */
+export const AUTO_PAUSE_LABELS = {
+  blur: 'UNFOCUSED',
+  hidden: 'HIDDEN TAB',
+  off: 'OFF',
+}
+
+/** Input within this long of returning to the page doesn't dismiss the prompt */
+const ARM_DELAY_MS = 300
+
+/** @returns {AutoPauseMode} */
+function loadMode() {
+  const saved = localStorage.getItem(STORAGE_KEY)
+  return saved in AUTO_PAUSE_LABELS ? saved : 'blur'
+}
+
+export class AutoPause {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {import('../emulator/InputRouter.js').InputRouter} */
+  #inputRouter
+
+  /** @type {AutoPauseMode} */
+  #mode = loadMode()
+
+  /** @type {boolean} Whether the game is paused by us, with the prompt up */
+  #active = false
+
+  /** @type {number} performance.now() from which input dismisses the prompt */
+  #armedAt = Infinity
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(emulatorBridge, inputRouter) {
+    this.#emulatorBridge = emulatorBridge
+    this.#inputRouter = inputRouter
+
+    this.#el = document.createElement('div')
+    this.#el.id = 'auto-pause'
+    Object.assign(this.#el.style, {
+      position: 'fixed',
+      inset: '0',
+      display: 'none',
+      alignItems: 'center',
+      justifyContent: 'center',
+      color: '#0ff',
+      fontFamily: '"Courier New", monospace',
+      zIndex: '250',
+      cursor: 'pointer',
+    })
+    this.#el.innerHTML = `
+      <div style="
+        padding: 18px 32px;
+        border: 1px solid #0ff4;
+        background: #000913e6;
+        box-shadow: 0 0 40px #0ff2;
+        text-align: center;
+      ">
+        <div style="font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">PAUSED</div>
+        <div data-role="hint" style="margin-top:10px; font-size:11px; letter-spacing:0.15em; color:#0ff6;">PRESS ANY BUTTON</div>
+      </div>
+    `
+    document.body.appendChild(this.#el)
+
+    emulatorBridge.addEventListener('page-activity', this.#onPageActivity)
+    // Capture phase on window runs before the pause menu's and InputRouter's listeners
+    window.addEventListener('keydown', this.#onKeyDown, true)
+    this.#el.addEventListener('click', this.#dismiss)
+    inputRouter.addEventListener('menu-input', (e) => {
+      if (e.detail.owner === this) this.#dismiss()
+    })
+
+    // A new game, or a resume from elsewhere, takes the prompt down
+    emulatorBridge.addEventListener('game-start', () => this.#hide())
+    emulatorBridge.addEventListener('resumed', () => this.#hide())
+  }
+
+  /** @returns {AutoPauseMode} */
+  get mode() {
+    return this.#mode
+  }
+
+  /** @param {AutoPauseMode} mode */
+  set mode(mode) {
+    if (!(mode in AUTO_PAUSE_LABELS)) return
+    this.#mode = mode
+    localStorage.setItem(STORAGE_KEY, mode)
+  }
+
+  /** @returns {boolean} Whether the game is held at the "press any button" prompt */
+  get isActive() {
+    return this.#active
+  }
+
+  /** @param {CustomEvent<{ hidden: boolean, inactive: boolean }>} e */
+  #onPageActivity = (e) => {
+    const { hidden, inactive: away } = e.detail
+
+    if (this.#active) {
+      this.#armedAt = away ? Infinity : performance.now() + ARM_DELAY_MS
+      this.#el.querySelector('[data-role="hint"]').style.visibility = away ? 'hidden' : 'visible'
+      return
+    }
+
+    const leaving = this.#mode === 'blur' ? away : this.#mode === 'hidden' && hidden
+    if (leaving && this.#emulatorBridge.isReady && !this.#emulatorBridge.isPaused) this.#pause()
+  }
+
+  #pause() {
+    this.#emulatorBridge.pause()
+    this.#inputRouter.enterMenu(this)
+    this.#active = true
+    this.#armedAt = Infinity
+    this.#el.querySelector('[data-role="hint"]').style.visibility = 'hidden'
+    this.#el.style.display = 'flex'
+    console.log('[AutoPause] page left, game paused')
+  }
+
+  /** Any key, click or pad press once armed: back to the game */
+  #dismiss = () => {
+    if (!this.#active || performance.now() < this.#armedAt) return
+    this.#hide()
+    this.#emulatorBridge.resume()
+  }
+
+  #hide() {
+    if (!this.#active) return
+    this.#active = false
+    this.#el.style.display = 'none'
+    this.#inputRouter.leaveMenu(this)
+  }
+
+  /** @param {KeyboardEvent} e */
+  #onKeyDown = (e) => {
+    if (!this.#active) return
+    e.preventDefault()
+    e.stopImmediatePropagation()
+    if (!e.repeat) this.#dismiss()
+  }
+}
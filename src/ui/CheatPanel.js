@@ -0,0 +1,212 @@
+/**
+ * CheatPanel
+ *
+ * Modal cheat manager for the loaded game. Lists the game's cheats with an
+ * on/off toggle each, and lets the user add, edit and delete entries or
+ * append the code cheats from a RetroArch .cht file. Lists are kept per
+ * ROM set name by EmulatorBridge, so they come back with the game.
+ *
+ * The game is paused while the panel is open; toggles apply to the core
+ * straight away and take effect when play resumes.
+ */
+
+import { PadNavigation } from './PadNavigation.js'
+import { escapeHTML } from './escapeHTML.js'
+import { CONTROL_STYLE, createModal, PauseWhileOpen } from './ModalPanel.js'
+
+export class CheatPanel {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {PadNavigation} */
+  #padNavigation
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {number | null} Index of the cheat loaded into the form for editing */
+  #editing = null
+
+  /** @type {string} */
+  #message = ''
+
+  /** @type {PauseWhileOpen} */
+  #pause
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(emulatorBridge, inputRouter) {
+    this.#emulatorBridge = emulatorBridge
+    this.#pause = new PauseWhileOpen(emulatorBridge)
+
+    this.#el = createModal('cheat-panel')
+    this.#padNavigation = new PadNavigation(inputRouter, this.#el, () => this.close())
+  }
+
+  open() {
+    if (this.isOpen) return
+    this.#pause.pause()
+    this.#editing = null
+    this.#message = ''
+    this.#render()
+    this.#el.style.display = 'flex'
+    this.#padNavigation.attach()
+  }
+
+  close() {
+    if (!this.isOpen) return
+    this.#el.style.display = 'none'
+    this.#padNavigation.detach()
+    this.#pause.resume()
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const cheats = this.#emulatorBridge.cheats
+    const editing = this.#editing === null ? null : cheats[this.#editing]
+
+    const rows = cheats.map((cheat, i) => `
+      <div style="display:grid; grid-template-columns: 24px 1fr auto; gap:8px; align-items:center; border-top:1px solid #0ff2; padding-top:8px;">
+        <input type="checkbox" data-toggle="${i}"${cheat.enabled ? ' checked' : ''} style="accent-color:#0ff; cursor:pointer;">
+        <div style="display:flex; flex-direction:column; gap:4px; min-width:0;">
+          <span style="color:${cheat.enabled ? '#0ff' : '#4af'}; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHTML(cheat.description)}</span>
+          <span style="color:#0ff6; font-size:10px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHTML(cheat.code)}</span>
+        </div>
+        <div style="display:flex; gap:6px;">
+          <button data-action="edit" data-index="${i}" style="${CONTROL_STYLE}">EDIT</button>
+          <button data-action="delete" data-index="${i}" style="${CONTROL_STYLE} color:#f48; border-color:#f484;">DELETE</button>
+        </div>
+      </div>
+    `)
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(520px, 92vw);
+        max-height: 90vh;
+        overflow-y: auto;
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">CHEATS</h2>
+        <span style="color:#4af; font-size:10px;">${escapeHTML(this.#emulatorBridge.gameName ?? '')}</span>
+
+        <form data-role="form" style="display:flex; flex-direction:column; gap:8px;">
+          <input name="description" maxlength="80" placeholder="DESCRIPTION" value="${escapeHTML(editing?.description ?? '')}" style="${CONTROL_STYLE} cursor:text;">
+          <div style="display:flex; gap:8px;">
+            <input name="code" placeholder="CODE" value="${escapeHTML(editing?.code ?? '')}" style="${CONTROL_STYLE} flex:1; cursor:text;">
+            <button type="submit" style="${CONTROL_STYLE}">${editing ? 'UPDATE' : 'ADD'}</button>
+            ${editing ? `<button type="button" data-role="cancel-edit" style="${CONTROL_STYLE}">CANCEL</button>` : ''}
+          </div>
+        </form>
+
+        <label style="${CONTROL_STYLE} text-align:center;">
+          IMPORT .CHT FILE
+          <input type="file" data-role="import" accept=".cht" style="display:none;">
+        </label>
+
+        <p style="margin:0; min-height:1.4em; color:#fa4; font-size:11px;">${this.#message}</p>
+
+        ${rows.join('') || '<p style="margin:0; color:#0ff6;">NO CHEATS FOR THIS GAME YET</p>'}
+
+        <button data-role="close" style="${CONTROL_STYLE}">CLOSE</button>
+      </div>
+    `
+
+    this.#el.querySelector('[data-role="form"]').addEventListener('submit', (e) => {
+      e.preventDefault()
+      const description = e.target.elements.description.value.trim()
+      const code = e.target.elements.code.value.trim()
+      if (code) this.#saveForm(description, code)
+    })
+    this.#el.querySelector('[data-role="cancel-edit"]')?.addEventListener('click', () => {
+      this.#editing = null
+      this.#render()
+    })
+    this.#el.querySelector('[data-role="import"]').addEventListener('change', (e) => {
+      const file = e.target.files[0]
+      if (file) this.#import(file)
+    })
+    this.#el.querySelector('[data-role="close"]').addEventListener('click', () => this.close())
+
+    for (const toggle of this.#el.querySelectorAll('[data-toggle]')) {
+      toggle.addEventListener('change', () => this.#update(Number(toggle.dataset.toggle), { enabled: toggle.checked }))
+    }
+    for (const button of this.#el.querySelectorAll('[data-action]')) {
+      button.addEventListener('click', () => this.#onAction(button.dataset.action, Number(button.dataset.index)))
+    }
+  }
+
+  /**
+   * @param {string} description
+   * @param {string} code
+   */
+  #saveForm(description, code) {
+    const cheats = this.#emulatorBridge.cheats
+    if (this.#editing === null) {
+      cheats.push({ description: description || `Cheat ${cheats.length + 1}`, code, enabled: true })
+      this.#message = `ADDED ${escapeHTML(description || 'CHEAT')}`
+    } else {
+      Object.assign(cheats[this.#editing], { description: description || cheats[this.#editing].description, code })
+      this.#message = `UPDATED ${escapeHTML(cheats[this.#editing].description)}`
+      this.#editing = null
+    }
+    this.#emulatorBridge.setCheats(cheats)
+    this.#render()
+  }
+
+  /**
+   * @param {number} index
+   * @param {Partial<import('../emulator/ChtFile.js').Cheat>} changes
+   */
+  #update(index, changes) {
+    const cheats = this.#emulatorBridge.cheats
+    Object.assign(cheats[index], changes)
+    this.#emulatorBridge.setCheats(cheats)
+    this.#message = ''
+    this.#render()
+  }
+
+  /**
+   * @param {'edit' | 'delete'} action
+   * @param {number} index
+   */
+  #onAction(action, index) {
+    const cheats = this.#emulatorBridge.cheats
+    if (action === 'edit') {
+      this.#editing = index
+      this.#message = ''
+      this.#render()
+      return
+    }
+
+    if (!confirm(`Delete cheat "${cheats[index].description}"?`)) return
+    const [removed] = cheats.splice(index, 1)
+    this.#emulatorBridge.setCheats(cheats)
+    this.#editing = null
+    this.#message = `DELETED ${escapeHTML(removed.description)}`
+    this.#render()
+  }
+
+  /** @param {File} file */
+  async #import(file) {
+    try {
+      const count = await this.#emulatorBridge.importCheats(file)
+      this.#message = `IMPORTED ${count} CHEAT${count === 1 ? '' : 'S'} — SWITCH ON THE ONES YOU WANT`
+    } catch (err) {
+      console.error('[CheatPanel] import failed:', err)
+      this.#message = `IMPORT FAILED: ${escapeHTML(err.message)}`
+    }
+    this.#render()
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * CoreOptionsPanel
+ *
+ * Modal for the running game's DIP switches and core options (region,
+ * difficulty, free play, Neo Geo BIOS mode, …). The option list comes from
+ * the core itself, so each game shows exactly the switches it has. Changes
+ * apply live and are stored per game by EmulatorBridge, which reapplies
+ * them the next time the ROM loads.
+ *
+ * Many arcade boards only read their DIP switches at power-on, so the
+ * panel offers a soft reset next to the options.
+ */
+
+import { PadNavigation } from './PadNavigation.js'
+import { escapeHTML } from './escapeHTML.js'
+import { CONTROL_STYLE, createModal } from './ModalPanel.js'
+
+export class CoreOptionsPanel {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {PadNavigation} */
+  #padNavigation
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {string} */
+  #message = ''
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(emulatorBridge, inputRouter) {
+    this.#emulatorBridge = emulatorBridge
+
+    this.#el = createModal('core-options-panel')
+    this.#padNavigation = new PadNavigation(inputRouter, this.#el, () => this.close())
+  }
+
+  open() {
+    this.#message = ''
+    this.#render()
+    this.#el.style.display = 'flex'
+    this.#padNavigation.attach()
+  }
+
+  close() {
+    this.#el.style.display = 'none'
+    this.#padNavigation.detach()
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const options = this.#emulatorBridge.getCoreOptions()
+    const dipSwitches = options.filter((o) => o.dipSwitch)
+    const coreOptions = options.filter((o) => !o.dipSwitch)
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(560px, 92vw);
+        max-height: 90vh;
+        overflow-y: auto;
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">GAME SETTINGS</h2>
+        <span style="color:#4af; font-size:10px;">${escapeHTML(this.#emulatorBridge.gameName ?? '')}</span>
+
+        ${options.length === 0 ? '<p style="margin:0; color:#0ff6;">THE CORE REPORTED NO OPTIONS FOR THIS GAME</p>' : ''}
+        ${optionSection('DIP SWITCHES', dipSwitches)}
+        ${optionSection('CORE OPTIONS', coreOptions)}
+
+        <p style="margin:0; color:#0ff6; font-size:10px; line-height:1.6;">
+          CHANGED SETTINGS ARE MARKED * AND SAVED FOR THIS GAME. SOME ONLY TAKE EFFECT AFTER A RESET.
+        </p>
+        <p data-role="message" style="margin:0; min-height:1.4em; color:#fa4; font-size:11px;">${this.#message}</p>
+
+        <div style="display:flex; gap:8px;">
+          <button data-role="restart" style="${CONTROL_STYLE} flex:1;">RESET GAME</button>
+          <button data-role="defaults" style="${CONTROL_STYLE} flex:1;">RESTORE DEFAULTS</button>
+          <button data-role="close" style="${CONTROL_STYLE} flex:1;">CLOSE</button>
+        </div>
+      </div>
+    `
+
+    for (const select of this.#el.querySelectorAll('[data-option]')) {
+      select.addEventListener('change', () => {
+        try {
+          this.#emulatorBridge.setCoreOption(select.dataset.option, select.value)
+          this.#message = ''
+        } catch (err) {
+          console.error('[CoreOptionsPanel] failed to set option:', err)
+          this.#message = `COULD NOT SET ${escapeHTML(select.dataset.option)}`
+        }
+        this.#render()
+      })
+    }
+    this.#el.querySelector('[data-role="restart"]').addEventListener('click', () => {
+      this.#emulatorBridge.restart()
+      this.close()
+    })
+    this.#el.querySelector('[data-role="defaults"]').addEventListener('click', () => {
+      this.#emulatorBridge.resetCoreOptions()
+      this.#message = 'DEFAULTS RESTORED'
+      this.#render()
+    })
+    this.#el.querySelector('[data-role="close"]').addEventListener('click', () => this.close())
+  }
+}
+
+/**
+ * @param {string} title
+ * @param {import('../emulator/EmulatorBridge.js').CoreOption[]} options
+ */
+function optionSection(title, options) {
+  if (options.length === 0) return ''
+  return `
+    <span style="color:#0ff9; font-size:10px; border-bottom:1px solid #0ff2; padding-bottom:4px;">${title}</span>
+    <div style="display:grid; grid-template-columns: 1fr minmax(140px, auto); gap:6px 10px; align-items:center;">
+      ${options.map((option) => `
+        <span style="color:#4af; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;" title="${escapeHTML(option.key)}">
+          ${escapeHTML(option.label.toUpperCase())}${option.value === option.defaultValue ? '' : ' <span style="color:#fa4;">*</span>'}
+        </span>
+        <select data-option="${escapeHTML(option.key)}" style="${CONTROL_STYLE}">
+          ${option.values.map((value) => `<option value="${escapeHTML(value)}"${value === option.value ? ' selected' : ''}>${escapeHTML(value)}</option>`).join('')}
+        </select>
+      `).join('')}
+    </div>
+  `
+}
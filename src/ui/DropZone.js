@@ -0,0 +1,89 @@
+/**
+ * DropZone
+ *
+ * Lets ROM sets (.zip, .7z, .rar) be dropped anywhere on the page — the 3D scene, the
+ * cabinet, or the ROM loader panel — with or without a game running.
+ * While files are dragged over the window a full-screen hint is shown;
+ * dropped files are handed to the callback, which routes them through
+ * ROMLoader like the INSERT COIN button.
+ */
+export class DropZone {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {(files: File[]) => void} */
+  #onDrop
+
+  /** @type {number} dragenter/dragleave nesting, so child elements don't flicker the hint */
+  #depth = 0
+
+  /**
+   * @param {(files: File[]) => void} onDrop
+   */
+  constructor(onDrop) {
+    this.#onDrop = onDrop
+
+    this.#el = document.createElement('div')
+    this.#el.id = 'drop-zone'
+    Object.assign(this.#el.style, {
+      position: 'fixed',
+      inset: '12px',
+      display: 'none',
+      alignItems: 'center',
+      justifyContent: 'center',
+      border: '2px dashed #0ff',
+      background: 'rgba(0, 9, 19, 0.6)',
+      color: '#0ff',
+      fontFamily: '"Courier New", monospace',
+      fontSize: '18px',
+      letterSpacing: '0.25em',
+      textShadow: '0 0 12px #0ff',
+      pointerEvents: 'none',
+      zIndex: '300',
+    })
+    this.#el.textContent = 'DROP ROM SETS TO PLAY'
+    document.body.appendChild(this.#el)
+
+    window.addEventListener('dragenter', this.#onDragEnter)
+    window.addEventListener('dragover', this.#onDragOver)
+    window.addEventListener('dragleave', this.#onDragLeave)
+    window.addEventListener('drop', this.#onDropEvent)
+  }
+
+  /** @param {DragEvent} e */
+  #onDragEnter = (e) => {
+    if (!hasFiles(e)) return
+    this.#depth++
+    this.#el.style.display = 'flex'
+  }
+
+  /** @param {DragEvent} e */
+  #onDragOver = (e) => {
+    if (!hasFiles(e)) return
+    // Without this the browser opens the zip instead of dropping it here
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+  }
+
+  /** @param {DragEvent} e */
+  #onDragLeave = (e) => {
+    if (!hasFiles(e)) return
+    this.#depth = Math.max(0, this.#depth - 1)
+    if (this.#depth === 0) this.#el.style.display = 'none'
+  }
+
+  /** @param {DragEvent} e */
+  #onDropEvent = (e) => {
+    if (!hasFiles(e)) return
+    e.preventDefault()
+    this.#depth = 0
+    this.#el.style.display = 'none'
+    const files = [...e.dataTransfer.files]
+    if (files.length > 0) this.#onDrop(files)
+  }
+}
+
+/** @param {DragEvent} e */
+function hasFiles(e) {
+  return e.dataTransfer?.types.includes('Files') ?? false
+}
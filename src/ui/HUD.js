@@ -0,0 +1,99 @@
+/**
+ * HUD
+ *
+ * Small in-game toolbar pinned to the top-right corner. Hidden until the
+ * game starts. Other UI modules register their entry points with
+ * addButton() so the HUD itself stays ignorant of what they do, and can
+ * raise status badges (e.g. cheats active) with setBadge().
+ */
+export class HUD {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {Map<string, HTMLElement>} */
+  #badges = new Map()
+
+  constructor() {
+    this.#el = document.createElement('div')
+    this.#el.id = 'hud'
+    Object.assign(this.#el.style, {
+      position: 'fixed',
+      top: '12px',
+      right: '12px',
+      display: 'none',
+      gap: '6px',
+      alignItems: 'center',
+      fontFamily: '"Courier New", monospace',
+      fontSize: '11px',
+      letterSpacing: '0.15em',
+      zIndex: '50',
+    })
+    document.body.appendChild(this.#el)
+  }
+
+  /**
+   * Add a toolbar button.
+   * @param {string} label
+   * @param {() => void} onClick
+   * @returns {HTMLButtonElement}
+   */
+  addButton(label, onClick) {
+    const button = document.createElement('button')
+    button.textContent = label
+    Object.assign(button.style, {
+      background: '#000913cc',
+      color: '#0ff',
+      border: '1px solid #0ff4',
+      padding: '6px 12px',
+      fontFamily: 'inherit',
+      fontSize: 'inherit',
+      letterSpacing: 'inherit',
+      cursor: 'pointer',
+    })
+    button.addEventListener('click', (e) => {
+      // Don't let the click fall through to the Three.js canvas focus handler
+      e.stopPropagation()
+      button.blur()
+      onClick()
+    })
+    this.#el.appendChild(button)
+    return button
+  }
+
+  /**
+   * Show, update or (with null text) remove a status badge. Badges sit to
+   * the left of the buttons.
+   * @param {string} name — identifies the badge across calls
+   * @param {string | null} text
+   */
+  setBadge(name, text) {
+    let badge = this.#badges.get(name)
+    if (text === null) {
+      badge?.remove()
+      this.#badges.delete(name)
+      return
+    }
+
+    if (!badge) {
+      badge = document.createElement('span')
+      Object.assign(badge.style, {
+        background: '#000913cc',
+        color: '#fa4',
+        border: '1px solid #fa46',
+        padding: '6px 12px',
+        textShadow: '0 0 8px #fa4',
+      })
+      this.#el.prepend(badge)
+      this.#badges.set(name, badge)
+    }
+    badge.textContent = text
+  }
+
+  show() {
+    this.#el.style.display = 'flex'
+  }
+
+  hide() {
+    this.#el.style.display = 'none'
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * LibraryBrowser
+ *
+ * ROM library list at the top of the ROMLoader panel: every game kept in
+ * RomLibrary with one-click PLAY and DELETE, and how much browser storage
+ * the zips use. Games get into the library by being loaded once from the
+ * file pickers below it.
+ */
+
+import { escapeHTML } from './escapeHTML.js'
+
+const SYSTEM_NAMES = {
+  cps1: 'CPS1',
+  cps2: 'CPS2',
+  neo: 'NEO GEO',
+  fbneo: 'FBNEO',
+}
+
+const BUTTON_STYLE = `
+  background: transparent;
+  color: #0ff;
+  border: 1px solid #0ff4;
+  padding: 4px 8px;
+  font-family: inherit;
+  font-size: 10px;
+  letter-spacing: 0.1em;
+  cursor: pointer;
+`
+
+export class LibraryBrowser {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/RomLibrary.js').RomLibrary} */
+  #library
+
+  /** @type {(id: string) => void} */
+  #onLaunch
+
+  /**
+   * @param {HTMLElement} parent — element the list is appended to
+   * @param {import('../emulator/RomLibrary.js').RomLibrary} library
+   * @param {(id: string) => void} onLaunch — called with the game's set name when PLAY is clicked
+   */
+  constructor(parent, library, onLaunch) {
+    this.#library = library
+    this.#onLaunch = onLaunch
+
+    this.#el = document.createElement('div')
+    Object.assign(this.#el.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      width: '100%',
+      fontSize: '11px',
+      letterSpacing: '0.05em',
+    })
+    parent.appendChild(this.#el)
+
+    this.refresh()
+  }
+
+  /** Re-read the library and redraw. */
+  async refresh() {
+    let games = []
+    let usage = null
+    try {
+      [games, usage] = await Promise.all([this.#library.list(), this.#library.usage()])
+    } catch (err) {
+      console.warn('[LibraryBrowser] could not read the ROM library:', err)
+    }
+    this.#render(games, usage)
+  }
+
+  /**
+   * @param {import('../emulator/RomLibrary.js').LibraryGame[]} games
+   * @param {{ used: number, quota: number | null } | null} usage
+   */
+  #render(games, usage) {
+    const used = usage
+      ? `${formatBytes(usage.used)} USED${usage.quota ? ` OF ${formatBytes(usage.quota)}` : ''}`
+      : ''
+
+    const rows = games.map((game) => `
+      <div style="display:grid; grid-template-columns: 1fr auto; gap:8px; align-items:center; border-top:1px solid #0ff2; padding-top:6px;">
+        <div style="display:flex; flex-direction:column; gap:2px; min-width:0;">
+          <span style="color:#0ff; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;" title="${escapeHTML(game.title)}">${escapeHTML(game.title.toUpperCase())}</span>
+          <span style="color:#0ff6; font-size:10px;">
+            ${escapeHTML(game.id)} · ${SYSTEM_NAMES[game.systemType] ?? escapeHTML(game.systemType.toUpperCase())} · ${formatBytes(game.size)}${game.parentFileName ? ` · +${escapeHTML(game.parentFileName)}` : ''}
+          </span>
+        </div>
+        <div style="display:flex; gap:6px;">
+          <button data-action="play" data-id="${escapeHTML(game.id)}" style="${BUTTON_STYLE}">PLAY</button>
+          <button data-action="delete" data-id="${escapeHTML(game.id)}" style="${BUTTON_STYLE} color:#f48; border-color:#f484;">DELETE</button>
+        </div>
+      </div>
+    `)
+
+    this.#el.innerHTML = `
+      <div style="display:flex; justify-content:space-between; align-items:baseline;">
+        <label style="color:#0ff9; letter-spacing:0.1em;">LIBRARY</label>
+        <span style="color:#0ff6; font-size:10px;">${used}</span>
+      </div>
+      <div style="display:flex; flex-direction:column; gap:6px; max-height:220px; overflow-y:auto;">
+        ${rows.join('') || '<span style="color:#0ff6; font-size:10px;">NO GAMES YET — LOADED ROMS ARE KEPT HERE</span>'}
+      </div>
+    `
+
+    for (const button of this.#el.querySelectorAll('[data-action]')) {
+      button.addEventListener('click', () => this.#onAction(button.dataset.action, button.dataset.id))
+    }
+  }
+
+  /**
+   * @param {'play' | 'delete'} action
+   * @param {string} id
+   */
+  async #onAction(action, id) {
+    if (action === 'play') {
+      this.#onLaunch(id)
+      return
+    }
+
+    if (!confirm(`Remove ${id} from the library? Its save states are kept.`)) return
+    try {
+      await this.#library.delete(id)
+    } catch (err) {
+      console.error('[LibraryBrowser] delete failed:', err)
+    }
+    this.refresh()
+  }
+}
+
+/** @param {number} bytes */
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+  return `${Math.ceil(bytes / 1024)} KB`
+}
@@ -0,0 +1,78 @@
+/**
+ * ModalPanel
+ *
+ * What the modal panels share: the full-screen shell they render into, the
+ * style of their buttons and fields, and — for panels that hold the game
+ * while open — pausing it on open and resuming it on close, unless it was
+ * already paused (by the pause menu underneath, say).
+ */
+
+/** Buttons, selects and text fields in a panel */
+export const CONTROL_STYLE = `
+  background: #0a0a1a;
+  color: #0ff;
+  border: 1px solid #0ff4;
+  padding: 6px 10px;
+  font-family: inherit;
+  font-size: 11px;
+  letter-spacing: 0.1em;
+  cursor: pointer;
+`
+
+/**
+ * Create a panel's hidden full-screen container, centring its content over
+ * a dimmed backdrop, and add it to the page.
+ *
+ * @param {string} id
+ * @param {{ backdrop?: string, zIndex?: string }} [options] — a lighter
+ *   backdrop for panels whose effect should stay visible behind them, and a
+ *   higher zIndex for dialogs that go over the panels
+ * @returns {HTMLElement}
+ */
+export function createModal(id, { backdrop = 'rgba(0, 0, 0, 0.7)', zIndex = '200' } = {}) {
+  const el = document.createElement('div')
+  el.id = id
+  Object.assign(el.style, {
+    position: 'fixed',
+    inset: '0',
+    display: 'none',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: backdrop,
+    color: '#0ff',
+    fontFamily: '"Courier New", monospace',
+    fontSize: '12px',
+    letterSpacing: '0.1em',
+    zIndex,
+  })
+  document.body.appendChild(el)
+  return el
+}
+
+/** Pauses the game for a panel, and resumes it only if that pause was the panel's */
+export class PauseWhileOpen {
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {boolean} Whether pause() paused the game, so resume() resumes it */
+  #pausedGame = false
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   */
+  constructor(emulatorBridge) {
+    this.#emulatorBridge = emulatorBridge
+  }
+
+  /** Call when the panel opens */
+  pause() {
+    this.#pausedGame = !this.#emulatorBridge.isPaused
+    this.#emulatorBridge.pause()
+  }
+
+  /** Call when the panel closes */
+  resume() {
+    if (this.#pausedGame) this.#emulatorBridge.resume()
+    this.#pausedGame = false
+  }
+}
@@ -8,6 +8,9 @@ export class Overlay {
   /** @type {HTMLElement} */
   #el
 
+  /** @type {number | null} Pending removal after the fade-out */
+  #hideTimer = null
+
   constructor() {
     this.#el = document.createElement('div')
     this.#el.id = 'overlay'
@@ -71,7 +74,22 @@ export class Overlay {
   /** Fade out and remove the entire overlay */
   hide() {
     this.#el.style.opacity = '0'
-    setTimeout(() => this.#el.remove(), 400)
+    this.#hideTimer = setTimeout(() => this.#el.remove(), 400)
+  }
+
+  /** Bring the overlay back after hide(), e.g. to pick another game */
+  show() {
+    clearTimeout(this.#hideTimer)
+    this.#hideTimer = null
+    this.hideSpinner()
+    if (!this.#el.isConnected) document.body.appendChild(this.#el)
+    // Next frame, so the opacity change transitions instead of snapping
+    requestAnimationFrame(() => { this.#el.style.opacity = '1' })
+  }
+
+  /** @returns {boolean} Whether the overlay is up (and not fading out) */
+  get isVisible() {
+    return this.#el.isConnected && this.#hideTimer === null
   }
 
   /** @returns {HTMLElement} */
@@ -0,0 +1,149 @@
+/**
+ * PadNavigation
+ *
+ * Lets a pad drive one of the DOM panels. While attached, the panel holds
+ * the pads through InputRouter.enterMenu(), so presses never reach the
+ * game, and its 'menu-input' moves focus through the panel's controls:
+ * up / down step through them in page order, left / right nudge a slider
+ * or drop-down (or step like up / down elsewhere), A clicks the focused
+ * control and B / Start call onBack — normally the panel's close().
+ *
+ * Panels re-render with innerHTML, which drops focus; the focused control's
+ * position is kept and focus put back after every action.
+ */
+
+/** Controls a pad can land on */
+const FOCUSABLE = 'button, input:not([type="hidden"]), select, textarea'
+
+const FOCUS_STYLE_ID = 'pad-navigation-style'
+
+export class PadNavigation {
+  /** @type {import('../emulator/InputRouter.js').InputRouter} */
+  #inputRouter
+
+  /** @type {HTMLElement} */
+  #root
+
+  /** @type {() => void} */
+  #onBack
+
+  /** @type {number} Position of the focused control among the panel's controls */
+  #index = 0
+
+  /**
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   * @param {HTMLElement} root — the panel element
+   * @param {() => void} onBack — B / Start
+   */
+  constructor(inputRouter, root, onBack) {
+    this.#inputRouter = inputRouter
+    this.#root = root
+    this.#onBack = onBack
+    injectFocusStyle()
+  }
+
+  /** Take the pads; call when the panel opens */
+  attach() {
+    this.#index = 0
+    this.#root.dataset.padNavigation = ''
+    this.#inputRouter.enterMenu(this)
+    this.#inputRouter.addEventListener('menu-input', this.#onMenuInput)
+  }
+
+  /** Give the pads back; call when the panel closes */
+  detach() {
+    delete this.#root.dataset.padNavigation
+    this.#inputRouter.leaveMenu(this)
+    this.#inputRouter.removeEventListener('menu-input', this.#onMenuInput)
+  }
+
+  /** @returns {HTMLElement[]} Enabled, visible controls in page order */
+  #controls() {
+    return [...this.#root.querySelectorAll(FOCUSABLE)]
+      .filter((el) => !el.disabled && el.getClientRects().length > 0)
+  }
+
+  /** @param {number} index — clamped to the controls there are */
+  #focus(index) {
+    const controls = this.#controls()
+    if (controls.length === 0) return
+    this.#index = Math.min(Math.max(index, 0), controls.length - 1)
+    const control = controls[this.#index]
+    control.focus()
+    control.scrollIntoView({ block: 'nearest' })
+  }
+
+  /** @param {number} step — +1 next, -1 previous, wrapping */
+  #move(step) {
+    const count = this.#controls().length
+    if (count === 0) return
+    this.#focus((this.#index + step + count) % count)
+  }
+
+  /** @param {number} step — +1 right, -1 left */
+  #adjust(step) {
+    const control = this.#controls()[this.#index]
+    if (control instanceof HTMLInputElement && control.type === 'range') {
+      // 5% of the range per press
+      const range = Number(control.max || 100) - Number(control.min || 0)
+      const steps = Math.max(1, Math.round(range / 20 / (Number(control.step) || 1)))
+      if (step > 0) control.stepUp(steps)
+      else control.stepDown(steps)
+      control.dispatchEvent(new Event('input', { bubbles: true }))
+      control.dispatchEvent(new Event('change', { bubbles: true }))
+      return
+    }
+    if (control instanceof HTMLSelectElement) {
+      const index = Math.min(Math.max(control.selectedIndex + step, 0), control.options.length - 1)
+      if (index === control.selectedIndex) return
+      control.selectedIndex = index
+      control.dispatchEvent(new Event('change', { bubbles: true }))
+      return
+    }
+    this.#move(step)
+  }
+
+  /** @param {CustomEvent<{ action: string, owner: object }>} e */
+  #onMenuInput = (e) => {
+    if (e.detail.owner !== this) return
+    const { action } = e.detail
+    // Follow the mouse or keyboard if they moved focus in between
+    const focused = this.#controls().indexOf(document.activeElement)
+    if (focused !== -1) {
+      this.#index = focused
+    } else if (action !== 'back' && action !== 'other') {
+      // Nothing focused yet (just opened, or re-rendered): the first press shows where we are
+      this.#focus(this.#index)
+      return
+    }
+
+    switch (action) {
+      case 'up': this.#move(-1); break
+      case 'down': this.#move(1); break
+      case 'left': this.#adjust(-1); break
+      case 'right': this.#adjust(1); break
+      case 'accept': this.#controls()[this.#index]?.click(); break
+      case 'back': this.#onBack(); return
+      default: return
+    }
+    // Still open: put focus back where it was if a re-render dropped it
+    if (this.#root.dataset.padNavigation !== undefined && !this.#root.contains(document.activeElement)) {
+      this.#focus(this.#index)
+    }
+  }
+}
+
+/** Glow on the focused control of a pad-driven panel, once per page */
+function injectFocusStyle() {
+  if (document.getElementById(FOCUS_STYLE_ID)) return
+  const style = document.createElement('style')
+  style.id = FOCUS_STYLE_ID
+  style.textContent = `
+    [data-pad-navigation] :focus {
+      outline: 2px solid #0ff;
+      outline-offset: 2px;
+      box-shadow: 0 0 12px #0ff6;
+    }
+  `
+  document.head.appendChild(style)
+}
@@ -0,0 +1,298 @@
+/**
+ * PauseMenu
+ *
+ * In-game menu opened with Esc or Select+Start on a pad. It pauses the
+ * core (SceneManager blurs and dims the scene while paused) and lists
+ * RESUME plus the entries other modules register with addItem(), so the
+ * menu itself stays ignorant of what they do — like the HUD's buttons.
+ *
+ * Navigation works with the mouse, the keyboard (arrows, Enter, Esc) and
+ * any pad: InputRouter.enterMenu() hands the pads over while the menu is
+ * open and reports d-pad, stick, A, B and Start presses as 'menu-input'.
+ * Entries that open a panel hide the menu while the panel is up; the panel
+ * takes the pads over (PadNavigation) on top of the menu, and the menu comes
+ * back, with the game still paused, once the panel closes ('menu-return').
+ * Entries that lose progress can ask for confirmation inside the menu, as
+ * confirm() dialogs can't be answered from a pad.
+ */
+
+import { escapeHTML } from './escapeHTML.js'
+
+const ITEM_STYLE = `
+  background: #0a0a1a;
+  color: #0ff;
+  border: 1px solid #0ff4;
+  padding: 10px 14px;
+  font-family: inherit;
+  font-size: 13px;
+  letter-spacing: 0.2em;
+  text-align: left;
+  cursor: pointer;
+`
+
+const SELECTED_STYLE = 'border-color:#0ff; box-shadow:0 0 12px #0ff6; background:#0ff1;'
+
+/**
+ * @typedef {object} PauseMenuItem
+ * @property {string | (() => string)} label — a function is read on every render
+ * @property {() => void} onSelect
+ * @property {boolean} keepPaused — leave the game paused when the menu
+ *   closes for this entry
+ * @property {boolean} opensPanel — hide the menu instead of closing it, and
+ *   show it again when the panel the entry opens lets go of the pads
+ * @property {boolean} stayOpen — keep the menu open and re-render it
+ *   instead, for settings switched in place
+ * @property {string | null} confirm — question to confirm first, if any
+ */
+
+export class PauseMenu {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {import('../emulator/InputRouter.js').InputRouter} */
+  #inputRouter
+
+  /** @type {() => boolean} */
+  #canOpen
+
+  /** @type {PauseMenuItem[]} */
+  #items = []
+
+  /** @type {number} Index of the highlighted entry */
+  #selected = 0
+
+  /** @type {PauseMenuItem | null} Entry whose confirmation is showing */
+  #confirming = null
+
+  /** @type {boolean} Whether a panel opened from the menu is up, with the menu hidden under it */
+  #panelOpen = false
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   * @param {() => boolean} canOpen — whether the menu may open now (a game
+   *   is running and no other panel has the screen)
+   */
+  constructor(emulatorBridge, inputRouter, canOpen) {
+    this.#emulatorBridge = emulatorBridge
+    this.#inputRouter = inputRouter
+    this.#canOpen = canOpen
+
+    this.#el = document.createElement('div')
+    this.#el.id = 'pause-menu'
+    Object.assign(this.#el.style, {
+      position: 'fixed',
+      inset: '0',
+      display: 'none',
+      alignItems: 'center',
+      justifyContent: 'center',
+      color: '#0ff',
+      fontFamily: '"Courier New", monospace',
+      fontSize: '12px',
+      letterSpacing: '0.1em',
+      zIndex: '150',
+    })
+    document.body.appendChild(this.#el)
+
+    this.addItem('RESUME', () => {})
+
+    window.addEventListener('keydown', this.#onKeyDown)
+    inputRouter.addEventListener('menu', this.#onMenuChord)
+    inputRouter.addEventListener('menu-input', this.#onMenuInput)
+    inputRouter.addEventListener('menu-return', this.#onMenuReturn)
+  }
+
+  /**
+   * Add an entry below the ones already there.
+   * @param {string | (() => string)} label
+   * @param {() => void} onSelect — called just before the menu closes, unless stayOpen or opensPanel
+   * @param {{ keepPaused?: boolean, opensPanel?: boolean, stayOpen?: boolean, confirm?: string }} [options]
+   */
+  addItem(label, onSelect, { keepPaused = false, opensPanel = false, stayOpen = false, confirm = null } = {}) {
+    this.#items.push({ label, onSelect, keepPaused, opensPanel, stayOpen, confirm })
+  }
+
+  open() {
+    if (this.isOpen) return
+    this.#emulatorBridge.pause()
+    this.#inputRouter.enterMenu(this)
+    this.#selected = 0
+    this.#confirming = null
+    this.#showPanel(false)
+    this.#render()
+    this.#el.style.display = 'flex'
+  }
+
+  /**
+   * @param {{ resume?: boolean }} [options] — resume: false leaves the game paused
+   */
+  close({ resume = true } = {}) {
+    if (!this.isOpen) return
+    this.#el.style.display = 'none'
+    this.#showPanel(false)
+    this.#inputRouter.leaveMenu(this)
+    if (resume) this.#emulatorBridge.resume()
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const confirming = this.#confirming
+    const entries = confirming ? ['NO', 'YES'] : this.#items.map(({ label }) => typeof label === 'function' ? label() : label)
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913e6;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(320px, 92vw);
+      ">
+        <h2 style="margin:0 0 6px; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">PAUSED</h2>
+        ${confirming ? `<p style="margin:0 0 6px; color:#fa4; line-height:1.6;">${escapeHTML(confirming.confirm)}</p>` : ''}
+        ${entries.map((label, i) => `
+          <button data-index="${i}" style="${ITEM_STYLE}${i === this.#selected ? SELECTED_STYLE : ''}">${escapeHTML(label)}</button>
+        `).join('')}
+        <p style="margin:6px 0 0; color:#0ff6; font-size:10px; line-height:1.6;">
+          ↑ ↓ / D-PAD TO CHOOSE · ENTER / A TO SELECT · ESC / B TO GO BACK
+        </p>
+      </div>
+    `
+
+    for (const button of this.#el.querySelectorAll('[data-index]')) {
+      const index = Number(button.dataset.index)
+      button.addEventListener('mouseenter', () => this.#select(index))
+      button.addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.#selected = index
+        this.#accept()
+      })
+    }
+  }
+
+  /** @param {number} index */
+  #select(index) {
+    if (index === this.#selected) return
+    this.#selected = index
+    this.#render()
+  }
+
+  /** @param {number} step — +1 down, -1 up, wrapping */
+  #move(step) {
+    const count = this.#confirming ? 2 : this.#items.length
+    this.#select((this.#selected + step + count) % count)
+  }
+
+  #accept() {
+    if (this.#confirming) {
+      const item = this.#confirming
+      if (this.#selected === 1) this.#run(item)
+      else this.#back()
+      return
+    }
+
+    const item = this.#items[this.#selected]
+    if (item.confirm) {
+      this.#confirming = item
+      this.#selected = 0
+      this.#render()
+      return
+    }
+    this.#run(item)
+  }
+
+  #back() {
+    if (!this.#confirming) {
+      this.close()
+      return
+    }
+    this.#selected = this.#items.indexOf(this.#confirming)
+    this.#confirming = null
+    this.#render()
+  }
+
+  /** @param {PauseMenuItem} item */
+  #run(item) {
+    if (item.stayOpen) {
+      item.onSelect()
+      this.#confirming = null
+      this.#selected = this.#items.indexOf(item)
+      this.#render()
+      return
+    }
+    if (item.opensPanel) {
+      this.#confirming = null
+      this.#selected = this.#items.indexOf(item)
+      this.#showPanel(true)
+      item.onSelect()
+      // The panel didn't take the pads (it was already open elsewhere): stay visible
+      if (this.#inputRouter.menuOwner === this) this.#showPanel(false)
+      return
+    }
+    item.onSelect()
+    this.close({ resume: !item.keepPaused })
+  }
+
+  /** @param {boolean} open — whether a panel is up over the hidden menu */
+  #showPanel(open) {
+    this.#panelOpen = open
+    this.#el.style.visibility = open ? 'hidden' : ''
+  }
+
+  /** @param {KeyboardEvent} e */
+  #onKeyDown = (e) => {
+    if (!this.isOpen) {
+      if (e.key === 'Escape' && !e.repeat && this.#canOpen()) {
+        e.preventDefault()
+        this.open()
+      }
+      return
+    }
+    // The panel over the menu has the keyboard
+    if (this.#panelOpen) return
+
+    const actions = {
+      ArrowUp: () => this.#move(-1),
+      ArrowDown: () => this.#move(1),
+      Enter: () => this.#accept(),
+      ' ': () => this.#accept(),
+      Escape: () => this.#back(),
+      Backspace: () => this.#back(),
+    }
+    const action = actions[e.key]
+    if (!action) return
+    e.preventDefault()
+    if (!e.repeat || e.key.startsWith('Arrow')) action()
+  }
+
+  #onMenuChord = () => {
+    if (this.#canOpen()) this.open()
+  }
+
+  /** @param {CustomEvent<{ owner: object }>} e — the panel opened from the menu closed */
+  #onMenuReturn = (e) => {
+    if (!this.isOpen || !this.#panelOpen || e.detail.owner !== this) return
+    this.#showPanel(false)
+    this.#render()
+  }
+
+  /** @param {CustomEvent<{ action: string, owner: object }>} e */
+  #onMenuInput = (e) => {
+    if (!this.isOpen || e.detail.owner !== this) return
+    switch (e.detail.action) {
+      case 'up': this.#move(-1); break
+      case 'down': this.#move(1); break
+      case 'accept': this.#accept(); break
+      case 'back': this.#back(); break
+    }
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * PlayerAssignment
+ *
+ * Compact player → input source table, embedded in the ROMLoader panel.
+ * One row per emulator port with a keyboard on/off select and a gamepad
+ * select; which keys each player uses is set in RemapPanel. Re-renders on
+ * InputRouter's 'assignments-change' so hot-plugged pads show up (and
+ * disappear) without reopening the panel.
+ */
+
+import { escapeHTML } from './escapeHTML.js'
+
+const SELECT_STYLE = `
+  background: #0a0a1a;
+  color: #0ff;
+  border: 1px solid #0ff4;
+  padding: 6px 8px;
+  font-family: inherit;
+  font-size: 11px;
+  letter-spacing: 0.05em;
+  cursor: pointer;
+  appearance: none;
+  min-width: 0;
+`
+
+export class PlayerAssignment {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/InputRouter.js').InputRouter} */
+  #inputRouter
+
+  /**
+   * @param {HTMLElement} parent — element the table is appended to
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(parent, inputRouter) {
+    this.#inputRouter = inputRouter
+
+    this.#el = document.createElement('div')
+    Object.assign(this.#el.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      width: '100%',
+    })
+    parent.appendChild(this.#el)
+
+    this.#render()
+    inputRouter.addEventListener('assignments-change', this.#render)
+  }
+
+  #render = () => {
+    const players = this.#inputRouter.players
+    const gamepads = this.#inputRouter.gamepads
+
+    const keyboardOptions = (enabled) => [
+      `<option value="on"${enabled ? ' selected' : ''}>KEYBOARD</option>`,
+      `<option value="off"${enabled ? '' : ' selected'}>NO KEYBOARD</option>`,
+    ].join('')
+
+    const gamepadOptions = (selected, player) => {
+      const active = gamepads.find((gp) => gp.player === player)
+      return [
+        `<option value="auto"${selected === 'auto' ? ' selected' : ''}>PAD AUTO${active && selected === 'auto' ? ` (${active.index + 1})` : ''}</option>`,
+        `<option value="none"${selected === 'none' ? ' selected' : ''}>NO PAD</option>`,
+        ...gamepads.map((gp) => `<option value="${gp.index}"${selected === gp.index ? ' selected' : ''}>PAD ${gp.index + 1}: ${escapeHTML(gp.id.slice(0, 24))}</option>`),
+      ].join('')
+    }
+
+    this.#el.innerHTML = `
+      <label style="color:#0ff9; font-size:11px; letter-spacing:0.1em;">PLAYERS</label>
+      ${players.map((p, i) => `
+        <div style="display:grid; grid-template-columns: 28px 1fr 1fr; gap:6px; align-items:center;">
+          <span style="color:#4af; font-size:11px; letter-spacing:0.1em;">P${i + 1}</span>
+          <select data-player="${i}" data-source="keyboard" style="${SELECT_STYLE}">${keyboardOptions(p.keyboard)}</select>
+          <select data-player="${i}" data-source="gamepad" style="${SELECT_STYLE}">${gamepadOptions(p.gamepad, i)}</select>
+        </div>
+      `).join('')}
+    `
+
+    for (const select of this.#el.querySelectorAll('select')) {
+      select.addEventListener('change', this.#onChange)
+    }
+  }
+
+  #onChange = (e) => {
+    const player = Number(e.target.dataset.player)
+    const { value } = e.target
+
+    if (e.target.dataset.source === 'keyboard') {
+      this.#inputRouter.setPlayerKeyboard(player, value === 'on')
+    } else {
+      this.#inputRouter.setPlayerGamepad(player, value === 'auto' || value === 'none' ? value : Number(value))
+    }
+  }
+
+  destroy() {
+    this.#inputRouter.removeEventListener('assignments-change', this.#render)
+    this.#el.remove()
+  }
+}
@@ -3,18 +3,58 @@
  *
  * Styled overlay UI for ROM file selection.
  * Shown on page load. Passes the ROM File to EmulatorBridge, then hides
- * and hands control to the Three.js scene.
+ * and hands control to the Three.js scene. show() brings it back to pick
+ * another game once the current one has been unloaded.
  *
- * Privacy: ROM data is handled entirely in browser memory via FileReader.
- * No ROM data is uploaded to any server.
+ * Games loaded from the file pickers are kept in RomLibrary (unless KEEP IN
+ * LIBRARY is unticked) and listed by LibraryBrowser at the top of the
+ * panel, so later sessions launch them in one click.
+ *
+ * Also hosts the PlayerAssignment table so local multiplayer sources are
+ * picked before the game boots, and opens RemapPanel for key rebinding.
+ * Rewind settings live here too, since the rewind buffer is allocated at boot.
+ *
+ * With a DAT imported, RomSetCheck verifies the chosen zips as soon as they
+ * are picked and sets the system dropdown from the identified game; the
+ * dropdown stays for sets the DAT doesn't know.
+ *
+ * .7z and .rar sets are repacked as zips as soon as they are picked or
+ * dropped, so everything after that — the set check, pairing, the library
+ * and the cores — only ever sees zips.
+ *
+ * Privacy: ROM data is handled entirely in the browser — in memory, and in
+ * this browser's IndexedDB for library games. No ROM data is uploaded to
+ * any server.
  */
+import { PlayerAssignment } from './PlayerAssignment.js'
+import { RemapPanel } from './RemapPanel.js'
+import { RomSetCheck } from './RomSetCheck.js'
+import { LibraryBrowser } from './LibraryBrowser.js'
+import { RomLibrary } from '../emulator/RomLibrary.js'
 
 const SYSTEM_OPTIONS = [
   { value: 'cps2', label: 'CPS2 (Street Fighter Alpha, MvC, DnD)' },
   { value: 'cps1', label: 'CPS1 (Ghosts n\' Goblins, Final Fight)' },
   { value: 'neo',  label: 'Neo Geo (KOF, Samurai Shodown)' },
+  { value: 'fbneo', label: 'Other arcade (FBNeo)' },
 ]
 
+/** Rewind buffer sizes offered, in MB */
+const REWIND_BUFFER_OPTIONS = [10, 20, 50, 100]
+
+/** Frames between rewind snapshots offered */
+const REWIND_GRANULARITY_OPTIONS = [1, 2, 4, 6]
+
+const SMALL_SELECT_STYLE = `
+  background: #0a0a1a;
+  color: #0ff;
+  border: 1px solid #0ff4;
+  padding: 4px 6px;
+  font-family: inherit;
+  font-size: 11px;
+  cursor: pointer;
+`
+
 export class ROMLoader {
   /** @type {HTMLElement} */
   #panel
@@ -31,18 +71,71 @@ export class ROMLoader {
   /** @type {HTMLButtonElement} */
   #loadBtn
 
+  /** @type {HTMLElement} */
+  #errorText
+
+  /** @type {File | null} Picked ROM set, repacked as a zip if it wasn't one */
+  #romFile = null
+
+  /** @type {File | null} Picked parent set, repacked as a zip if it wasn't one */
+  #parentFile = null
+
+  /** @type {RomSetCheck} */
+  #romSetCheck
+
+  /** @type {RomLibrary} */
+  #library = new RomLibrary()
+
+  /** @type {LibraryBrowser} */
+  #libraryBrowser
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {import('./Overlay.js').Overlay} */
+  #overlay
+
+  /** @type {() => void} */
+  #onReady
+
+  /** @type {boolean} A drop is being handled or a game is booting; drops are ignored until it settles */
+  #busy = false
+
   /**
    * @param {HTMLElement} overlayElement — the Overlay container element
    * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
    * @param {import('./Overlay.js').Overlay} overlay
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
    * @param {() => void} onReady — called after emulator signals ready
    */
-  constructor(overlayElement, emulatorBridge, overlay, onReady) {
-    this.#buildPanel(overlayElement)
-    this.#bindEvents(emulatorBridge, overlay, onReady)
+  constructor(overlayElement, emulatorBridge, overlay, inputRouter, onReady) {
+    this.#emulatorBridge = emulatorBridge
+    this.#overlay = overlay
+    this.#onReady = onReady
+
+    this.#buildPanel(overlayElement, emulatorBridge.rewindConfig)
+    this.#libraryBrowser = new LibraryBrowser(this.#panel.querySelector('#library-browser'), this.#library, (id) => this.#launchFromLibrary(id))
+    new PlayerAssignment(this.#panel.querySelector('#player-assignment'), inputRouter)
+    this.#romSetCheck = new RomSetCheck(this.#panel.querySelector('#rom-set-check'))
+
+    const remapPanel = new RemapPanel(inputRouter)
+    this.#panel.querySelector('#controls-btn').addEventListener('click', () => {
+      remapPanel.open(this.#systemSelect.value)
+    })
+    this.#bindEvents(emulatorBridge)
+  }
+
+  /** Show the panel again, keeping the last selections. */
+  show() {
+    this.#panel.style.display = 'flex'
+    this.#libraryBrowser.refresh()
   }
 
-  #buildPanel(overlayElement) {
+  /**
+   * @param {HTMLElement} overlayElement
+   * @param {import('../emulator/EmulatorBridge.js').RewindConfig} rewind — initial rewind settings
+   */
+  #buildPanel(overlayElement, rewind) {
     const panel = document.createElement('div')
     panel.id = 'rom-loader-panel'
     Object.assign(panel.style, {
@@ -56,6 +149,8 @@ export class ROMLoader {
       boxShadow: '0 0 40px #0ff2, 0 0 80px #00f1',
       maxWidth: '440px',
       width: '90vw',
+      maxHeight: '92vh',
+      overflowY: 'auto',
     })
 
     panel.innerHTML = `
@@ -75,7 +170,11 @@ export class ROMLoader {
         text-align: center;
         line-height: 1.6;
         margin: 0;
-      ">SELECT A ROM ZIP FROM YOUR LOCAL MACHINE<br>NO FILES ARE UPLOADED TO ANY SERVER</p>
+      ">PLAY FROM YOUR LIBRARY OR ADD A ROM ZIP<br>ROMS STAY IN THIS BROWSER — NOTHING IS UPLOADED</p>
+
+      <div id="library-browser" style="width:100%;"></div>
+
+      <label style="width:100%; border-top:1px solid #0ff2; padding-top:16px; color:#0ff9; font-size:11px; letter-spacing:0.1em;">ADD A GAME</label>
 
       <div style="display:flex; flex-direction:column; gap:8px; width:100%;">
         <label style="color:#0ff9; font-size:11px; letter-spacing:0.1em;">SYSTEM</label>
@@ -95,7 +194,7 @@ export class ROMLoader {
       </div>
 
       <div style="display:flex; flex-direction:column; gap:8px; width:100%;">
-        <label style="color:#0ff9; font-size:11px; letter-spacing:0.1em;">ROM FILE (.zip)</label>
+        <label style="color:#0ff9; font-size:11px; letter-spacing:0.1em;">ROM FILE (.zip, .7z, .rar)</label>
         <label id="file-label" style="
           display: flex;
           align-items: center;
@@ -110,7 +209,7 @@ export class ROMLoader {
         " onmouseover="this.style.borderColor='#0ff';this.style.color='#0ff'"
           onmouseout="this.style.borderColor='#0ff4';this.style.color='#4af'">
           <span id="file-label-text">CLICK TO SELECT ROM</span>
-          <input type="file" id="rom-file-input" accept=".zip" style="display:none;" />
+          <input type="file" id="rom-file-input" accept=".zip,.7z,.rar" style="display:none;" />
         </label>
       </div>
 
@@ -132,13 +231,50 @@ export class ROMLoader {
         " onmouseover="this.style.borderColor='#0ff6';this.style.color='#4af'"
           onmouseout="this.style.borderColor='#0ff2';this.style.color='#4af7'">
           <span id="parent-file-label-text">CLICK TO SELECT PARENT ROM</span>
-          <input type="file" id="parent-file-input" accept=".zip" style="display:none;" />
+          <input type="file" id="parent-file-input" accept=".zip,.7z,.rar" style="display:none;" />
         </label>
         <p style="color:#0ff4; font-size:10px; letter-spacing:0.05em; margin:0; line-height:1.5;">
           e.g. mvscur1.zip needs mvsc.zip as parent
         </p>
       </div>
 
+      <div id="rom-set-check" style="width:100%;"></div>
+
+      <div id="player-assignment" style="width:100%;"></div>
+
+      <div style="display:flex; gap:8px; align-items:center; width:100%; color:#0ff9; font-size:11px; letter-spacing:0.1em;">
+        <span style="flex:1;">REWIND</span>
+        <select id="rewind-enabled" style="${SMALL_SELECT_STYLE}">
+          <option value="on"${rewind.enabled ? ' selected' : ''}>ON</option>
+          <option value="off"${rewind.enabled ? '' : ' selected'}>OFF</option>
+        </select>
+        <select id="rewind-buffer" title="Rewind buffer size" style="${SMALL_SELECT_STYLE}">
+          ${REWIND_BUFFER_OPTIONS.map(mb => `<option value="${mb}"${mb === rewind.bufferSizeMB ? ' selected' : ''}>${mb} MB</option>`).join('')}
+        </select>
+        <select id="rewind-granularity" title="Frames between rewind snapshots" style="${SMALL_SELECT_STYLE}">
+          ${REWIND_GRANULARITY_OPTIONS.map(n => `<option value="${n}"${n === rewind.granularity ? ' selected' : ''}>EVERY ${n}F</option>`).join('')}
+        </select>
+      </div>
+
+      <button id="controls-btn" style="
+        background: transparent;
+        color: #4af;
+        border: 1px solid #0ff3;
+        padding: 8px 16px;
+        font-family: inherit;
+        font-size: 11px;
+        letter-spacing: 0.15em;
+        cursor: pointer;
+        width: 100%;
+      ">CONFIGURE CONTROLS</button>
+
+      <label style="display:flex; gap:8px; align-items:center; width:100%; color:#0ff9; font-size:11px; letter-spacing:0.1em; cursor:pointer;">
+        <input type="checkbox" id="keep-in-library" checked style="accent-color:#0ff; cursor:pointer;" />
+        KEEP IN LIBRARY
+      </label>
+
+      <p id="rom-error" style="display:none; color:#f48; font-size:11px; letter-spacing:0.05em; margin:0; text-align:center;"></p>
+
       <button id="load-rom-btn" disabled style="
         background: transparent;
         color: #0ff5;
@@ -161,45 +297,261 @@ export class ROMLoader {
     this.#parentFileInput = panel.querySelector('#parent-file-input')
     this.#systemSelect = panel.querySelector('#system-select')
     this.#loadBtn = panel.querySelector('#load-rom-btn')
+    this.#errorText = panel.querySelector('#rom-error')
   }
 
-  #bindEvents(emulatorBridge, overlay, onReady) {
-    this.#fileInput.addEventListener('change', () => {
+  /** @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge */
+  #bindEvents(emulatorBridge) {
+    this.#fileInput.addEventListener('change', async () => {
       const file = this.#fileInput.files[0]
       if (!file) return
       this.#panel.querySelector('#file-label-text').textContent = file.name
+      this.#romFile = await this.#toZip(file)
+      if (!this.#romFile) return
       this.#loadBtn.disabled = false
       Object.assign(this.#loadBtn.style, {
         color: '#0ff',
         borderColor: '#0ff',
         cursor: 'pointer',
       })
+      this.#checkRomSet()
     })
 
-    this.#parentFileInput.addEventListener('change', () => {
+    this.#parentFileInput.addEventListener('change', async () => {
       const file = this.#parentFileInput.files[0]
       if (!file) return
       this.#panel.querySelector('#parent-file-label-text').textContent = file.name
+      this.#parentFile = await this.#toZip(file)
+      this.#checkRomSet()
+    })
+
+    this.#panel.querySelector('#rewind-enabled').addEventListener('change', (e) => {
+      emulatorBridge.setRewindConfig({ enabled: e.target.value === 'on' })
+    })
+    this.#panel.querySelector('#rewind-buffer').addEventListener('change', (e) => {
+      emulatorBridge.setRewindConfig({ bufferSizeMB: Number(e.target.value) })
+    })
+    this.#panel.querySelector('#rewind-granularity').addEventListener('change', (e) => {
+      emulatorBridge.setRewindConfig({ granularity: Number(e.target.value) })
     })
 
     this.#loadBtn.addEventListener('click', async () => {
-      const file = this.#fileInput.files[0]
+      const file = this.#romFile
       if (!file) return
 
-      const systemType = this.#systemSelect.value
-      const parentFile = this.#parentFileInput.files[0] ?? null
+      const report = this.#romSetCheck.report
+      if (!confirmBadSet(report)) return
+
+      const { file: romFile, parentFile } = this.#romSetCheck.renameToSets(file, this.#parentFile)
+      await this.#startGame(romFile, this.#systemSelect.value, parentFile, report?.game.description)
+    })
+  }
+
+  /**
+   * Play ROM zips dropped on the page: pair clones with their parents, check
+   * the set and boot it the same way INSERT COIN does. A running game is
+   * swapped out after asking. Further games in the same drop go to the
+   * library.
+   *
+   * @param {File[]} files
+   * @param {() => void} beforeSwap — called once a swap is confirmed, before the running game is unloaded
+   * @returns {Promise<void>}
+   */
+  async loadFiles(files, beforeSwap) {
+    if (this.#busy) return
+    this.#busy = true
+    try {
+      const zips = []
+      for (const file of files) {
+        const zip = await this.#toZip(file)
+        if (zip) zips.push(zip)
+      }
+      const pairs = await this.#romSetCheck.pair(zips)
+      const running = this.#emulatorBridge.gameName
+      if (pairs.length === 0) {
+        this.#showError('NO ROM ZIPS IN THAT DROP')
+        return
+      }
 
-      this.#panel.style.display = 'none'
-      overlay.showSpinner('Initializing emulator…')
+      const [first, ...others] = pairs
+      const report = await this.#romSetCheck.check(first.file, first.parentFile)
+      if (!confirmBadSet(report)) return
+      if (running && !confirm(`Quit ${running} and load ${first.file.name}? Progress that isn't in a save state will be lost.`)) return
 
-      try {
-        await emulatorBridge.loadROM(file, systemType, parentFile)
-        overlay.hide()
-        onReady()
-      } catch (err) {
-        console.error('[ROMLoader] loadROM failed:', err)
-        overlay.showSpinner('Error loading ROM. Check console.')
+      if (running) {
+        beforeSwap()
+        this.#overlay.show()
       }
-    })
+      const systemType = report?.system ?? first.systemType ?? this.#systemSelect.value
+      const started = await this.#startGame(first.file, systemType, first.parentFile, report?.game.description)
+      if (!started || !this.#keepInLibrary) return
+
+      for (const pair of others) {
+        if (!pair.systemType) {
+          console.warn(`[ROMLoader] not adding ${pair.file.name} to the library: unknown system`)
+          continue
+        }
+        try {
+          await this.#library.add({ file: pair.file, parentFile: pair.parentFile, systemType: pair.systemType, title: pair.report?.game.description })
+        } catch (err) {
+          console.warn(`[ROMLoader] could not add ${pair.file.name} to the library:`, err)
+        }
+      }
+    } finally {
+      this.#busy = false
+    }
   }
+
+  /**
+   * Repack a .7z / .rar as a zip, with progress on the Overlay spinner in
+   * place of the panel (or over the running game). Zips come back as-is.
+   *
+   * @param {File} file
+   * @returns {Promise<File | null>} null if the archive couldn't be converted
+   */
+  async #toZip(file) {
+    const overlay = this.#overlay
+    const running = !!this.#emulatorBridge.gameName
+    const panelDisplay = this.#panel.style.display
+    const wasBusy = this.#busy
+    let converting = false
+    const onProgress = (e) => {
+      if (!converting) {
+        converting = true
+        this.#busy = true
+        if (running) overlay.show()
+        this.#panel.style.display = 'none'
+      }
+      overlay.showSpinner(e.detail.message)
+    }
+
+    this.#emulatorBridge.addEventListener('loading-progress', onProgress)
+    try {
+      return await this.#emulatorBridge.toZip(file)
+    } catch (err) {
+      console.error(`[ROMLoader] could not convert ${file.name}:`, err)
+      this.#showError(`COULD NOT CONVERT ${file.name.toUpperCase()} — CHECK CONSOLE`)
+      return null
+    } finally {
+      this.#emulatorBridge.removeEventListener('loading-progress', onProgress)
+      if (converting) {
+        overlay.hideSpinner()
+        if (running) overlay.hide()
+        this.#panel.style.display = panelDisplay
+        this.#busy = wasBusy
+      }
+    }
+  }
+
+  /** @returns {boolean} */
+  get #keepInLibrary() {
+    return this.#panel.querySelector('#keep-in-library').checked
+  }
+
+  /**
+   * Launch a game picked from files and keep it in the library if asked to.
+   *
+   * @param {File} file
+   * @param {string} systemType
+   * @param {File | null} parentFile
+   * @param {string} [title]
+   * @returns {Promise<boolean>} Whether the game started
+   */
+  async #startGame(file, systemType, parentFile, title) {
+    const started = await this.#launch(file, systemType, parentFile)
+    if (!started || !this.#keepInLibrary) return started
+
+    try {
+      await this.#library.add({ file, parentFile, systemType, title })
+    } catch (err) {
+      console.warn('[ROMLoader] could not add the game to the library:', err)
+    }
+    return started
+  }
+
+  /**
+   * Show a message under the panel, or as an alert if the panel is hidden
+   * behind a running game.
+   * @param {string} message
+   */
+  #showError(message) {
+    if (this.#emulatorBridge.gameName) {
+      alert(message)
+      return
+    }
+    this.#errorText.textContent = message
+    this.#errorText.style.display = 'block'
+  }
+
+  /** @param {string} id — ROM set name of a library game */
+  async #launchFromLibrary(id) {
+    try {
+      const { game, file, parentFile } = await this.#library.open(id)
+      await this.#launch(file, game.systemType, parentFile)
+    } catch (err) {
+      console.error('[ROMLoader] could not open library game:', err)
+      this.#showError('COULD NOT READ THE GAME FROM THE LIBRARY — CHECK CONSOLE')
+    }
+  }
+
+  /**
+   * Boot a game behind the spinner and hand over to the scene, or come back
+   * to the panel with an error.
+   *
+   * @param {File} file
+   * @param {string} systemType
+   * @param {File | null} parentFile
+   * @returns {Promise<boolean>} Whether the game started
+   */
+  async #launch(file, systemType, parentFile) {
+    const emulatorBridge = this.#emulatorBridge
+    const overlay = this.#overlay
+    const wasBusy = this.#busy
+
+    this.#busy = true
+    this.#panel.style.display = 'none'
+    this.#errorText.style.display = 'none'
+    overlay.showSpinner('Initializing emulator…')
+    // Follow EmulatorJS's boot stages and download percentages on the spinner
+    const onProgress = (e) => overlay.showSpinner(e.detail.message)
+    emulatorBridge.addEventListener('loading-progress', onProgress)
+
+    try {
+      await emulatorBridge.loadROM(file, systemType, parentFile)
+      emulatorBridge.removeEventListener('loading-progress', onProgress)
+      overlay.hide()
+      this.#onReady()
+      this.#busy = wasBusy
+      return true
+    } catch (err) {
+      emulatorBridge.removeEventListener('loading-progress', onProgress)
+      console.error('[ROMLoader] loadROM failed:', err)
+      await emulatorBridge.unload()
+      overlay.hideSpinner()
+      this.#errorText.textContent = 'ERROR LOADING ROM — CHECK CONSOLE'
+      this.#errorText.style.display = 'block'
+      this.show()
+      this.#busy = wasBusy
+      return false
+    }
+  }
+
+  /** Verify the chosen zips against the DAT and follow its system. */
+  async #checkRomSet() {
+    const file = this.#romFile
+    if (!file) return
+    const report = await this.#romSetCheck.check(file, this.#parentFile)
+    if (report) this.#systemSelect.value = report.system
+  }
+}
+
+/**
+ * Ask before booting a set the DAT says is incomplete.
+ * @param {import('../emulator/DatFile.js').RomSetReport | null} report
+ * @returns {boolean} Whether to go ahead
+ */
+function confirmBadSet(report) {
+  if (!report || report.ok) return true
+  const problems = `${report.missing.length} missing and ${report.badCrc.length} bad files`
+  return confirm(`${report.game.name} has ${problems} according to the DAT and will probably not run. Load anyway?`)
 }
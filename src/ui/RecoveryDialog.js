@@ -0,0 +1,159 @@
+/**
+ * RecoveryDialog
+ *
+ * Shown when EmulatorBridge's watchdog reports a stalled or crashed core
+ * ('stall'), instead of leaving a frozen screen. Offers to reload the core
+ * from the game's last autosave (or from power-on if there is none), to
+ * quit to the library, or — for a stall, which may only be a slow moment —
+ * to keep waiting (the dialog comes back if the core is still stuck after
+ * another stall timeout); it closes by itself if frames start moving again. The
+ * diagnostic report is shown in full and can be copied for a bug report.
+ */
+
+import { escapeHTML } from './escapeHTML.js'
+import { createModal } from './ModalPanel.js'
+
+const CONTROL_STYLE = `
+  background: #0a0a1a;
+  color: #0ff;
+  border: 1px solid #0ff4;
+  padding: 8px 12px;
+  font-family: inherit;
+  font-size: 11px;
+  letter-spacing: 0.1em;
+  cursor: pointer;
+`
+
+export class RecoveryDialog {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {() => void} */
+  #onRecover
+
+  /** @type {() => void} */
+  #onQuit
+
+  /** @type {{ report: import('../emulator/EmulatorBridge.js').DiagnosticReport, text: string } | null} */
+  #stall = null
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {() => void} onRecover — reload the core (EmulatorBridge.recover()) with loading UI
+   * @param {() => void} onQuit — back to the library
+   */
+  constructor(emulatorBridge, onRecover, onQuit) {
+    this.#emulatorBridge = emulatorBridge
+    this.#onRecover = onRecover
+    this.#onQuit = onQuit
+
+    this.#el = createModal('recovery-dialog', { zIndex: '300' })
+
+    emulatorBridge.addEventListener('stall', (e) => this.open(e.detail))
+    emulatorBridge.addEventListener('stall-cleared', () => this.close())
+    emulatorBridge.addEventListener('game-start', () => this.close())
+  }
+
+  /**
+   * @param {{ report: import('../emulator/EmulatorBridge.js').DiagnosticReport, text: string }} stall
+   */
+  open(stall) {
+    this.#stall = stall
+    this.#render()
+    this.#el.style.display = 'flex'
+  }
+
+  close() {
+    this.#stall = null
+    this.#el.style.display = 'none'
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const { report, text } = this.#stall
+    const crashed = report.reason === 'crash'
+    const autosave = report.autosavedAt
+      ? `RELOADS FROM THE AUTOSAVE OF ${new Date(report.autosavedAt).toLocaleTimeString()}.`
+      : 'THERE IS NO AUTOSAVE YET — THE GAME RESTARTS FROM THE BEGINNING.'
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 14px;
+        padding: 28px 36px;
+        border: 1px solid #f48;
+        background: #000913;
+        box-shadow: 0 0 40px #f484;
+        width: min(560px, 92vw);
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; color:#f48; text-shadow:0 0 12px #f48;">
+          ${crashed ? 'THE EMULATOR CRASHED' : 'THE GAME STOPPED RESPONDING'}
+        </h2>
+        <p style="margin:0; line-height:1.6;">
+          ${crashed
+            ? 'THE CORE HIT AN ERROR AND CAN\'T CONTINUE.'
+            : `NO NEW FRAME FOR ${Math.round(report.msSinceFrame / 1000)} SECONDS.`}
+          ${autosave}
+        </p>
+
+        <textarea data-role="report" readonly rows="10" style="
+          background: #0a0a1a;
+          color: #4af;
+          border: 1px solid #0ff4;
+          padding: 8px;
+          font-family: inherit;
+          font-size: 10px;
+          letter-spacing: 0;
+          resize: vertical;
+          white-space: pre;
+        ">${escapeHTML(text)}</textarea>
+
+        <div style="display:flex; gap:8px; flex-wrap:wrap;">
+          <button data-role="recover" style="${CONTROL_STYLE} flex:1; border-color:#0ff;">${report.autosavedAt ? 'RELOAD FROM AUTOSAVE' : 'RELOAD GAME'}</button>
+          ${crashed ? '' : `<button data-role="wait" style="${CONTROL_STYLE}">KEEP WAITING</button>`}
+        </div>
+        <div style="display:flex; gap:8px;">
+          <button data-role="copy" style="${CONTROL_STYLE} flex:1;">COPY REPORT</button>
+          <button data-role="quit" style="${CONTROL_STYLE} flex:1;">QUIT TO LIBRARY</button>
+        </div>
+      </div>
+    `
+
+    this.#el.querySelector('[data-role="recover"]').addEventListener('click', () => {
+      this.close()
+      this.#onRecover()
+    })
+    this.#el.querySelector('[data-role="wait"]')?.addEventListener('click', () => {
+      this.close()
+      this.#emulatorBridge.keepWaiting()
+    })
+    this.#el.querySelector('[data-role="quit"]').addEventListener('click', () => {
+      this.close()
+      this.#onQuit()
+    })
+    this.#el.querySelector('[data-role="copy"]').addEventListener('click', (e) => this.#copy(e.currentTarget))
+  }
+
+  /** @param {HTMLButtonElement} button */
+  async #copy(button) {
+    const text = this.#stall?.text
+    if (!text) return
+    try {
+      await navigator.clipboard.writeText(text)
+      button.textContent = 'COPIED'
+    } catch (err) {
+      // No clipboard access (e.g. not a secure context): select it for Ctrl+C instead
+      console.warn('[RecoveryDialog] clipboard unavailable:', err)
+      this.#el.querySelector('[data-role="report"]').select()
+      button.textContent = 'SELECTED — PRESS CTRL+C'
+    }
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * RemapPanel
+ *
+ * Modal for rebinding keyboard and gamepad controls, per system and per
+ * player. Click a cell, then press the key or pad button you want for that
+ * action (Escape cancels). Bindings are written through InputBindings, so
+ * they persist across sessions and InputRouter picks them up immediately.
+ *
+ * A key already used elsewhere is moved, not duplicated — the panel names
+ * the binding it took the key from so the user can rebind that one.
+ */
+
+import { BUTTON_LABELS, MAX_PLAYERS } from '../emulator/InputBindings.js'
+import { escapeHTML } from './escapeHTML.js'
+import { CONTROL_STYLE, createModal } from './ModalPanel.js'
+
+const SYSTEM_NAMES = {
+  cps2: 'CPS2',
+  cps1: 'CPS1',
+  neo:  'NEO GEO',
+}
+
+/** Bindings are KeyboardEvent.code values; names for those that aren't just Key… / Digit… */
+const KEY_NAMES = {
+  ArrowUp:      '↑',
+  ArrowDown:    '↓',
+  ArrowLeft:    '←',
+  ArrowRight:   '→',
+  Minus:        '-',
+  Equal:        '=',
+  BracketLeft:  '[',
+  BracketRight: ']',
+  Backslash:    '\\',
+  Semicolon:    ';',
+  Quote:        "'",
+  Comma:        ',',
+  Period:       '.',
+  Slash:        '/',
+  Backquote:    '`',
+}
+
+/** Standard gamepad layout button names */
+const PAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+  'SELECT', 'START', 'L3', 'R3', 'D↑', 'D↓', 'D←', 'D→', 'HOME',
+]
+
+export class RemapPanel {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/InputRouter.js').InputRouter} */
+  #inputRouter
+
+  /** @type {string} */
+  #system = 'cps2'
+
+  /** @type {number} */
+  #player = 0
+
+  /** @type {string} Status line under the table */
+  #message = ''
+
+  /**
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(inputRouter) {
+    this.#inputRouter = inputRouter
+
+    this.#el = createModal('remap-panel')
+
+    inputRouter.bindings.addEventListener('change', () => this.#render())
+  }
+
+  /**
+   * @param {string | null} [systemType] — system to show first (defaults to the last one shown)
+   */
+  open(systemType = null) {
+    if (systemType && systemType in SYSTEM_NAMES) this.#system = systemType
+    this.#message = ''
+    this.#render()
+    this.#el.style.display = 'flex'
+  }
+
+  close() {
+    this.#inputRouter.cancelCapture()
+    this.#el.style.display = 'none'
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const labels = BUTTON_LABELS[this.#system]
+    const { keyboard, gamepad } = this.#inputRouter.bindings.get(this.#system, this.#player)
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 14px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(480px, 92vw);
+        max-height: 90vh;
+        overflow-y: auto;
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">CONTROLS</h2>
+
+        <div style="display:flex; gap:8px;">
+          <select data-role="system" style="${CONTROL_STYLE} flex:1;">
+            ${Object.entries(SYSTEM_NAMES).map(([value, name]) => `<option value="${value}"${value === this.#system ? ' selected' : ''}>${name}</option>`).join('')}
+          </select>
+          <select data-role="player" style="${CONTROL_STYLE} flex:1;">
+            ${Array.from({ length: MAX_PLAYERS }, (_, i) => `<option value="${i}"${i === this.#player ? ' selected' : ''}>PLAYER ${i + 1}</option>`).join('')}
+          </select>
+        </div>
+
+        <div style="display:grid; grid-template-columns: 1fr 110px 110px; gap:6px; align-items:center;">
+          <span style="color:#0ff9; font-size:10px;">ACTION</span>
+          <span style="color:#0ff9; font-size:10px;">KEY</span>
+          <span style="color:#0ff9; font-size:10px;">PAD</span>
+          ${Object.entries(labels).map(([button, label]) => `
+            <span style="color:#4af;">${label.toUpperCase()}</span>
+            <button data-bind="keyboard" data-button="${button}" style="${CONTROL_STYLE}">${keyName(keyboard[button])}</button>
+            <button data-bind="gamepad" data-button="${button}" style="${CONTROL_STYLE}">${padName(gamepad[button])}</button>
+          `).join('')}
+        </div>
+
+        <p data-role="message" style="margin:0; min-height:1.4em; color:#fa4; font-size:11px;">${this.#message}</p>
+
+        <div style="display:flex; gap:8px;">
+          <button data-role="reset" style="${CONTROL_STYLE} flex:1;">RESET TO DEFAULTS</button>
+          <button data-role="close" style="${CONTROL_STYLE} flex:1;">CLOSE</button>
+        </div>
+      </div>
+    `
+
+    this.#el.querySelector('[data-role="system"]').addEventListener('change', (e) => {
+      this.#system = e.target.value
+      this.#message = ''
+      this.#render()
+    })
+    this.#el.querySelector('[data-role="player"]').addEventListener('change', (e) => {
+      this.#player = Number(e.target.value)
+      this.#message = ''
+      this.#render()
+    })
+    this.#el.querySelector('[data-role="reset"]').addEventListener('click', () => {
+      this.#message = `${SYSTEM_NAMES[this.#system]} PLAYER ${this.#player + 1} RESET TO DEFAULTS`
+      this.#inputRouter.bindings.reset(this.#system, this.#player)
+    })
+    this.#el.querySelector('[data-role="close"]').addEventListener('click', () => this.close())
+
+    for (const cell of this.#el.querySelectorAll('[data-bind]')) {
+      cell.addEventListener('click', () => this.#capture(cell))
+    }
+  }
+
+  /**
+   * Wait for the new input for one cell and store it.
+   * @param {HTMLButtonElement} cell
+   */
+  async #capture(cell) {
+    const kind = cell.dataset.bind
+    const button = cell.dataset.button
+    const label = BUTTON_LABELS[this.#system][button].toUpperCase()
+
+    for (const other of this.#el.querySelectorAll('[data-bind]')) other.disabled = other !== cell
+    cell.textContent = kind === 'keyboard' ? 'PRESS KEY…' : 'PRESS PAD…'
+    cell.style.borderColor = '#0ff'
+    this.#el.querySelector('[data-role="message"]').textContent = `PRESS THE ${kind === 'keyboard' ? 'KEY' : 'PAD BUTTON'} FOR ${label} — ESC TO CANCEL`
+
+    const input = await this.#inputRouter.captureNextInput(kind)
+    if (input === null) {
+      this.#message = ''
+      this.#render()
+      return
+    }
+
+    const bindings = this.#inputRouter.bindings
+    const conflicts = kind === 'keyboard'
+      ? bindings.setKey(this.#system, this.#player, button, input)
+      : bindings.setGamepadButton(this.#system, this.#player, button, input)
+
+    const labels = BUTTON_LABELS[this.#system]
+    this.#message = conflicts
+      .map((c) => `${kind === 'keyboard' ? keyName(input) : padName(input)} WAS UNBOUND FROM P${c.player + 1} ${labels[c.button].toUpperCase()}`)
+      .join('<br>')
+    // bindings 'change' already re-rendered before the message was set
+    this.#render()
+  }
+}
+
+/** @param {string | undefined} code */
+function keyName(code) {
+  if (code === undefined) return '—'
+  const name = KEY_NAMES[code] ?? code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'NUM ')
+  return escapeHTML(name.toUpperCase())
+}
+
+/** @param {number | undefined} index */
+function padName(index) {
+  if (index === undefined) return '—'
+  return PAD_BUTTON_NAMES[index] ?? `B${index}`
+}
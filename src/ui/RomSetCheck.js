@@ -0,0 +1,366 @@
+/**
+ * RomSetCheck
+ *
+ * ROM set verification block embedded in the ROMLoader panel. Holds the
+ * imported FBNeo/MAME DAT (persisted by DatStore) and, when a zip is
+ * picked, reads its central directory and reports which game it is, the
+ * system it runs on, whether it is a clone and of what, and any missing or
+ * bad files — all before the emulator is started.
+ *
+ * Identification is by CRC only, so a renamed zip is still recognised;
+ * renameToSets() gives the files the set names the cores look for.
+ * pair() sorts several zips dropped at once into games and the parent or
+ * BIOS zips they need.
+ */
+import { DatStore } from '../emulator/DatStore.js'
+import { parseDatFile, identifyRomSet, verifyRomSet } from '../emulator/DatFile.js'
+import { readZipDirectory } from '../emulator/ZipDirectory.js'
+import { escapeHTML } from './escapeHTML.js'
+
+const SYSTEM_NAMES = {
+  cps1: 'CPS1',
+  cps2: 'CPS2',
+  neo: 'NEO GEO',
+  fbneo: 'FBNEO',
+}
+
+/** Missing / bad files listed before the rest are summarised */
+const MAX_LISTED = 8
+
+/** Files only the Neo Geo BIOS set has, to spot neogeo.zip without a DAT */
+const NEO_GEO_BIOS_FILES = ['000-lo.lo', 'sfix.sfix']
+
+/**
+ * @typedef {object} RomSetPair
+ * @property {File} file — named after its ROM set when known
+ * @property {File | null} parentFile — parent or BIOS zip from the same drop
+ * @property {string | null} systemType — null if neither the DAT nor the zip tells
+ * @property {import('../emulator/DatFile.js').RomSetReport | null} report
+ */
+
+const BUTTON_STYLE = `
+  background: transparent;
+  color: #4af;
+  border: 1px solid #0ff3;
+  padding: 4px 8px;
+  font-family: inherit;
+  font-size: 10px;
+  letter-spacing: 0.1em;
+  cursor: pointer;
+`
+
+export class RomSetCheck {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {DatStore} */
+  #datStore = new DatStore()
+
+  /** @type {import('../emulator/DatFile.js').Dat | null} */
+  #dat = null
+
+  /** @type {string} */
+  #datStatus = 'NO DAT — SETS ARE NOT CHECKED'
+
+  /** @type {import('../emulator/DatFile.js').RomSetReport | null} */
+  #report = null
+
+  /** @type {string | null} Set the chosen parent zip turned out to be (parent or BIOS) */
+  #parentSet = null
+
+  /** @type {string} Report HTML */
+  #reportHTML = ''
+
+  /** @type {number} Bumped per check so a slow check can't overwrite a newer one */
+  #checkId = 0
+
+  /**
+   * @param {HTMLElement} parent — element the block is appended to
+   */
+  constructor(parent) {
+    this.#el = document.createElement('div')
+    Object.assign(this.#el.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      width: '100%',
+      fontSize: '11px',
+      letterSpacing: '0.05em',
+    })
+    parent.appendChild(this.#el)
+
+    this.#render()
+    this.#loadStoredDat()
+  }
+
+  /**
+   * Verification of the last checked zip, or null if there is no DAT or
+   * the zip isn't in it.
+   * @returns {import('../emulator/DatFile.js').RomSetReport | null}
+   */
+  get report() {
+    return this.#report
+  }
+
+  /**
+   * Check a ROM zip (and its parent / BIOS zip) against the DAT and show
+   * the result.
+   *
+   * @param {File} file
+   * @param {File | null} parentFile
+   * @returns {Promise<import('../emulator/DatFile.js').RomSetReport | null>}
+   */
+  async check(file, parentFile) {
+    const id = ++this.#checkId
+    this.#report = null
+    this.#parentSet = null
+    if (!this.#dat) {
+      this.#reportHTML = ''
+      this.#render()
+      return null
+    }
+
+    try {
+      const entries = await readZipDirectory(file)
+      const parentEntries = parentFile ? await readZipDirectory(parentFile) : []
+      if (id !== this.#checkId) return this.#report
+
+      const game = identifyRomSet(this.#dat, entries)
+      if (!game) {
+        this.#reportHTML = `<span style="color:#fa4;">${escapeHTML(file.name)} IS NOT IN THE DAT — CHOOSE THE SYSTEM BY HAND</span>`
+        this.#render()
+        return null
+      }
+
+      this.#report = verifyRomSet(this.#dat, game, entries, parentEntries)
+      this.#parentSet = parentFile ? this.#identifyParent(parentEntries) : null
+      this.#reportHTML = this.#describe(file, parentFile)
+    } catch (err) {
+      if (id !== this.#checkId) return this.#report
+      console.warn('[RomSetCheck] could not read zip:', err)
+      this.#reportHTML = `<span style="color:#f48;">${escapeHTML(err.message.toUpperCase())}</span>`
+    }
+    this.#render()
+    return this.#report
+  }
+
+  /**
+   * The cores find a set by its zip name, so hand them files named after
+   * the identified sets. Files already named right are returned as-is.
+   *
+   * @param {File} file
+   * @param {File | null} parentFile
+   * @returns {{ file: File, parentFile: File | null }}
+   */
+  renameToSets(file, parentFile) {
+    if (!this.#report) return { file, parentFile }
+    return {
+      file: renamed(file, this.#report.game.name),
+      parentFile: parentFile && this.#parentSet ? renamed(parentFile, this.#parentSet) : parentFile,
+    }
+  }
+
+  /**
+   * Sort zips dropped together into games and the parent / BIOS zips they
+   * need. With a DAT every zip is identified and clones are matched to the
+   * parent or BIOS they name. Without one, only what the zips themselves
+   * show is used: a Neo Geo BIOS is recognised by its files and CPS2 by its
+   * key file; clones can't be paired.
+   *
+   * @param {File[]} files
+   * @returns {Promise<RomSetPair[]>} One per game, in drop order; a zip that
+   *   is only there as another's parent or BIOS doesn't get its own
+   */
+  async pair(files) {
+    const sets = []
+    for (const file of files) {
+      try {
+        const entries = await readZipDirectory(file)
+        sets.push({ file, entries, game: this.#dat ? identifyRomSet(this.#dat, entries) : null })
+      } catch (err) {
+        console.warn(`[RomSetCheck] skipping ${file.name}:`, err)
+      }
+    }
+
+    if (!this.#dat) {
+      const bios = sets.find((set) => hasFiles(set.entries, NEO_GEO_BIOS_FILES))
+      return sets.filter((set) => set !== bios).map((set) => ({
+        file: set.file,
+        parentFile: bios ? renamed(bios.file, 'neogeo') : null,
+        systemType: bios ? 'neo' : set.entries.some((entry) => entry.name.toLowerCase().endsWith('.key')) ? 'cps2' : null,
+        report: null,
+      }))
+    }
+
+    const byName = new Map(sets.filter((set) => set.game).map((set) => [set.game.name, set]))
+    const isParent = (set) => sets.some((other) => other.game?.cloneOf && other.game.cloneOf === set.game?.name)
+    let games = sets.filter((set) => !set.game?.isBios && !isParent(set))
+    if (games.length === 0) games = sets.filter((set) => !set.game?.isBios)
+
+    return games.map(({ file, entries, game }) => {
+      if (!game) return { file, parentFile: null, systemType: null, report: null }
+
+      // Of the parent and BIOS, prefer whichever the zip is actually short of
+      const alone = verifyRomSet(this.#dat, game, entries)
+      const short = [...alone.missing, ...alone.fromBios].map((rom) => rom.from)
+      const wanted = [...new Set(short), alone.parent, alone.bios]
+      const parent = wanted.map((name) => name && byName.get(name)).find((set) => set && set.game !== game) ?? null
+
+      return {
+        file: renamed(file, game.name),
+        parentFile: parent ? renamed(parent.file, parent.game.name) : null,
+        systemType: alone.system,
+        report: parent ? verifyRomSet(this.#dat, game, entries, parent.entries) : alone,
+      }
+    })
+  }
+
+  async #loadStoredDat() {
+    try {
+      const record = await this.#datStore.get()
+      if (record) this.#useDat(record.text, record.fileName)
+    } catch (err) {
+      console.warn('[RomSetCheck] could not load the stored DAT:', err)
+      this.#datStatus = 'STORED DAT COULD NOT BE READ — IMPORT IT AGAIN'
+    }
+    this.#render()
+  }
+
+  /** @param {File} file */
+  async #import(file) {
+    try {
+      const text = await file.text()
+      this.#useDat(text, file.name)
+      await this.#datStore.put({ fileName: file.name, text, importedAt: Date.now() })
+    } catch (err) {
+      console.error('[RomSetCheck] DAT import failed:', err)
+      this.#datStatus = `DAT IMPORT FAILED: ${err.message.toUpperCase()}`
+    }
+    this.#render()
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} fileName
+   */
+  #useDat(text, fileName) {
+    this.#dat = parseDatFile(text)
+    this.#datStatus = `${this.#dat.name} — ${this.#dat.games.size} SETS`
+    console.log(`[RomSetCheck] using DAT ${fileName}: ${this.#dat.name}, ${this.#dat.games.size} sets`)
+  }
+
+  /**
+   * Which of the game's parent and BIOS sets the parent zip holds.
+   * @param {import('../emulator/ZipDirectory.js').ZipEntry[]} entries
+   * @returns {string | null}
+   */
+  #identifyParent(entries) {
+    const crcs = new Set(entries.map((entry) => entry.crc))
+    let best = null
+    let bestMatched = 0
+    for (const name of [this.#report.parent, this.#report.bios]) {
+      const set = name && this.#dat.games.get(name)
+      if (!set) continue
+      const matched = set.roms.filter((rom) => crcs.has(rom.crc)).length
+      if (matched > bestMatched) {
+        best = name
+        bestMatched = matched
+      }
+    }
+    return best
+  }
+
+  /**
+   * @param {File} file
+   * @param {File | null} parentFile
+   * @returns {string}
+   */
+  #describe(file, parentFile) {
+    const { game, system, parent, bios, missing, fromBios, badCrc, ok } = this.#report
+    const details = [game.manufacturer, game.year, SYSTEM_NAMES[system] ?? system.toUpperCase()]
+    if (parent) details.push(`CLONE OF ${parent}`)
+    if (bios) details.push(`BIOS ${bios}`)
+
+    const needed = [...new Set(missing.map((rom) => rom.from).filter((set) => set !== game.name))]
+    const fileCount = game.roms.filter((rom) => !rom.nodump).length - fromBios.length
+    const lines = [
+      `<span style="color:#0ff;">${escapeHTML(game.name.toUpperCase())} — ${escapeHTML(game.description.toUpperCase())}</span>`,
+      `<span style="color:#4af;">${escapeHTML(details.filter(Boolean).join(' · ').toUpperCase())}</span>`,
+      ok
+        ? `<span style="color:#0ff;">✓ ALL ${fileCount} ${fromBios.length > 0 ? 'GAME ' : ''}FILES OK</span>`
+        : `<span style="color:#f48;">✗ ${missing.length} MISSING, ${badCrc.length} BAD CRC OF ${fileCount} FILES</span>`,
+    ]
+    for (const set of needed) {
+      const hint = parentFile ? 'THE PARENT ZIP CHOSEN DOES NOT HAVE THEM' : `SELECT ${set.toUpperCase()}.ZIP AS PARENT ROM`
+      lines.push(`<span style="color:#fa4;">NEEDS FILES FROM ${escapeHTML(set.toUpperCase())} — ${escapeHTML(hint)}</span>`)
+    }
+    if (fromBios.length > 0) {
+      const hint = parentFile ? 'NOT IN THE ZIPS CHOSEN' : `SELECT ${bios.toUpperCase()}.ZIP AS PARENT ROM`
+      lines.push(`<span style="color:#fa4;">NEEDS THE ${escapeHTML(bios.toUpperCase())} BIOS (${fromBios.length} FILES) — ${escapeHTML(hint)}</span>`)
+    }
+    lines.push(...listed('MISSING', missing.map((rom) => `${rom.name}${rom.from === game.name ? '' : ` (${rom.from})`}`)))
+    lines.push(...listed('BAD CRC', badCrc.map((rom) => `${rom.name} (${rom.actual}, EXPECTED ${rom.expected})`)))
+    if (stem(file.name) !== game.name) {
+      lines.push(`<span style="color:#0ff6;">WILL LOAD AS ${escapeHTML(game.name.toUpperCase())}.ZIP</span>`)
+    }
+    return lines.join('')
+  }
+
+  #render() {
+    this.#el.innerHTML = `
+      <label style="color:#0ff9; letter-spacing:0.1em;">ROM SET CHECK</label>
+      <div style="display:flex; gap:8px; align-items:center;">
+        <span style="flex:1; color:${this.#dat ? '#4af' : '#0ff6'}; font-size:10px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHTML(this.#datStatus.toUpperCase())}</span>
+        <label style="${BUTTON_STYLE}">
+          ${this.#dat ? 'REPLACE DAT' : 'IMPORT DAT'}
+          <input type="file" data-role="dat-input" accept=".dat,.xml" style="display:none;" />
+        </label>
+      </div>
+      <div data-role="report" style="display:${this.#reportHTML ? 'flex' : 'none'}; flex-direction:column; gap:4px; padding:8px; border:1px solid #0ff2; font-size:10px; line-height:1.5;">
+        ${this.#reportHTML}
+      </div>
+    `
+    this.#el.querySelector('[data-role="dat-input"]').addEventListener('change', (e) => {
+      const file = e.target.files[0]
+      if (!file) return
+      this.#datStatus = 'READING DAT…'
+      this.#render()
+      this.#import(file)
+    })
+  }
+}
+
+/**
+ * @param {string} title
+ * @param {string[]} items
+ * @returns {string[]}
+ */
+function listed(title, items) {
+  if (items.length === 0) return []
+  const shown = items.slice(0, MAX_LISTED).map(escapeHTML).join(', ')
+  const more = items.length > MAX_LISTED ? ` +${items.length - MAX_LISTED} MORE` : ''
+  return [`<span style="color:#f48;">${title}: ${shown}${more}</span>`]
+}
+
+/**
+ * @param {import('../emulator/ZipDirectory.js').ZipEntry[]} entries
+ * @param {string[]} names
+ */
+function hasFiles(entries, names) {
+  const present = new Set(entries.map((entry) => entry.name.split('/').pop().toLowerCase()))
+  return names.every((name) => present.has(name))
+}
+
+/**
+ * @param {File} file
+ * @param {string} set
+ * @returns {File}
+ */
+function renamed(file, set) {
+  return stem(file.name) === set ? file : new File([file], `${set}.zip`, { type: file.type })
+}
+
+/** @param {string} name */
+function stem(name) {
+  return name.replace(/\.[^.]+$/, '')
+}
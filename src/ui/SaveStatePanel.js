@@ -0,0 +1,246 @@
+/**
+ * SaveStatePanel
+ *
+ * Modal browser for the loaded game's save-state slots. Lists each slot with
+ * its thumbnail, save time and play time, and offers load, overwrite and
+ * delete. A name field at the top saves the current game into a new slot
+ * (or overwrites the slot with that name).
+ *
+ * Slots can also be exported as portable .arcstate files and imported back,
+ * so training setups can be shared without sharing ROMs.
+ *
+ * The game is paused while the panel is open so the state that gets saved
+ * is the frame the user saw when they opened it.
+ */
+
+import { STATE_FILE_EXTENSION } from '../emulator/StateFile.js'
+import { PadNavigation } from './PadNavigation.js'
+import { escapeHTML } from './escapeHTML.js'
+import { CONTROL_STYLE, createModal, PauseWhileOpen } from './ModalPanel.js'
+
+export class SaveStatePanel {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {PadNavigation} */
+  #padNavigation
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /** @type {string[]} Thumbnail object URLs to revoke on the next render */
+  #thumbnailUrls = []
+
+  /** @type {string} */
+  #message = ''
+
+  /** @type {PauseWhileOpen} */
+  #pause
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   * @param {import('../emulator/InputRouter.js').InputRouter} inputRouter
+   */
+  constructor(emulatorBridge, inputRouter) {
+    this.#emulatorBridge = emulatorBridge
+    this.#pause = new PauseWhileOpen(emulatorBridge)
+
+    this.#el = createModal('save-state-panel')
+    this.#padNavigation = new PadNavigation(inputRouter, this.#el, () => this.close())
+  }
+
+  async open() {
+    if (this.isOpen) return
+    this.#pause.pause()
+    this.#message = ''
+    this.#el.style.display = 'flex'
+    this.#padNavigation.attach()
+    await this.#render()
+  }
+
+  close() {
+    if (!this.isOpen) return
+    this.#el.style.display = 'none'
+    this.#padNavigation.detach()
+    this.#revokeThumbnails()
+    this.#pause.resume()
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  async #render() {
+    let slots = []
+    try {
+      slots = await this.#emulatorBridge.listSaveStates()
+    } catch (err) {
+      console.error('[SaveStatePanel] failed to list save states:', err)
+      this.#message = 'COULD NOT READ SAVE STATES'
+    }
+
+    this.#revokeThumbnails()
+    const rows = slots.map((slot) => {
+      const url = slot.thumbnail ? URL.createObjectURL(slot.thumbnail) : null
+      if (url) this.#thumbnailUrls.push(url)
+      return `
+        <div style="display:grid; grid-template-columns: 96px 1fr; gap:10px; align-items:center; border-top:1px solid #0ff2; padding-top:10px;">
+          ${url
+            ? `<img src="${url}" alt="" style="width:96px; image-rendering:pixelated; border:1px solid #0ff3;">`
+            : '<div style="width:96px; height:56px; border:1px solid #0ff3;"></div>'}
+          <div style="display:flex; flex-direction:column; gap:6px; min-width:0;">
+            <span style="color:#0ff; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHTML(slot.slot)}</span>
+            <span style="color:#4af; font-size:10px;">${new Date(slot.savedAt).toLocaleString()} · PLAYED ${formatPlayTime(slot.playTimeMs)}</span>
+            <div style="display:flex; gap:6px;">
+              <button data-action="load" data-slot="${escapeHTML(slot.slot)}" style="${CONTROL_STYLE}">LOAD</button>
+              <button data-action="overwrite" data-slot="${escapeHTML(slot.slot)}" style="${CONTROL_STYLE}">OVERWRITE</button>
+              <button data-action="export" data-slot="${escapeHTML(slot.slot)}" style="${CONTROL_STYLE}">EXPORT</button>
+              <button data-action="delete" data-slot="${escapeHTML(slot.slot)}" style="${CONTROL_STYLE} color:#f48; border-color:#f484;">DELETE</button>
+            </div>
+          </div>
+        </div>
+      `
+    })
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(520px, 92vw);
+        max-height: 90vh;
+        overflow-y: auto;
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">SAVE STATES</h2>
+        <span style="color:#4af; font-size:10px;">${escapeHTML(this.#emulatorBridge.gameName ?? '')}</span>
+
+        <form data-role="new" style="display:flex; gap:8px;">
+          <input name="slot" maxlength="40" placeholder="SLOT NAME" value="SLOT ${slots.length + 1}" style="${CONTROL_STYLE} flex:1; cursor:text;">
+          <button type="submit" style="${CONTROL_STYLE}">SAVE</button>
+        </form>
+
+        <label style="${CONTROL_STYLE} text-align:center;">
+          IMPORT STATE FILE
+          <input type="file" data-role="import" accept="${STATE_FILE_EXTENSION}" style="display:none;">
+        </label>
+
+        <p style="margin:0; min-height:1.4em; color:#fa4; font-size:11px;">${this.#message}</p>
+
+        ${rows.join('') || '<p style="margin:0; color:#0ff6;">NO SAVE STATES YET</p>'}
+
+        <button data-role="close" style="${CONTROL_STYLE}">CLOSE</button>
+      </div>
+    `
+
+    this.#el.querySelector('[data-role="new"]').addEventListener('submit', (e) => {
+      e.preventDefault()
+      const slot = e.target.elements.slot.value.trim()
+      if (slot) this.#save(slot)
+    })
+    this.#el.querySelector('[data-role="import"]').addEventListener('change', (e) => {
+      const file = e.target.files[0]
+      if (file) this.#import(file)
+    })
+    this.#el.querySelector('[data-role="close"]').addEventListener('click', () => this.close())
+
+    for (const button of this.#el.querySelectorAll('[data-action]')) {
+      button.addEventListener('click', () => this.#onAction(button.dataset.action, button.dataset.slot))
+    }
+  }
+
+  /**
+   * @param {'load' | 'overwrite' | 'export' | 'delete'} action
+   * @param {string} slot
+   */
+  async #onAction(action, slot) {
+    if (action === 'overwrite') return this.#save(slot)
+    if (action === 'export') return this.#export(slot)
+
+    if (action === 'load') {
+      try {
+        await this.#emulatorBridge.loadState(slot)
+        this.close()
+      } catch (err) {
+        console.error('[SaveStatePanel] load failed:', err)
+        this.#message = `COULD NOT LOAD ${escapeHTML(slot)}`
+        await this.#render()
+      }
+      return
+    }
+
+    if (!confirm(`Delete save state "${slot}"?`)) return
+    try {
+      await this.#emulatorBridge.deleteSaveState(slot)
+      this.#message = `DELETED ${escapeHTML(slot)}`
+    } catch (err) {
+      console.error('[SaveStatePanel] delete failed:', err)
+      this.#message = `COULD NOT DELETE ${escapeHTML(slot)}`
+    }
+    await this.#render()
+  }
+
+  /** @param {string} slot */
+  async #save(slot) {
+    try {
+      await this.#emulatorBridge.saveState(slot)
+      this.#message = `SAVED ${escapeHTML(slot)}`
+    } catch (err) {
+      console.error('[SaveStatePanel] save failed:', err)
+      this.#message = `COULD NOT SAVE ${escapeHTML(slot)}`
+    }
+    await this.#render()
+  }
+
+  /** @param {string} slot */
+  async #export(slot) {
+    try {
+      const { blob, filename } = await this.#emulatorBridge.exportState(slot)
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = filename
+      a.click()
+      setTimeout(() => URL.revokeObjectURL(url), 0)
+    } catch (err) {
+      console.error('[SaveStatePanel] export failed:', err)
+      this.#message = `COULD NOT EXPORT ${escapeHTML(slot)}`
+      await this.#render()
+    }
+  }
+
+  /** @param {File} file */
+  async #import(file) {
+    try {
+      const warnings = await this.#emulatorBridge.importState(file)
+      if (warnings.length === 0) {
+        this.close()
+        return
+      }
+      this.#message = ['LOADED WITH WARNINGS:', ...warnings.map(escapeHTML)].join('<br>')
+    } catch (err) {
+      console.error('[SaveStatePanel] import failed:', err)
+      this.#message = `IMPORT REFUSED: ${escapeHTML(err.message)}`
+    }
+    await this.#render()
+  }
+
+  #revokeThumbnails() {
+    for (const url of this.#thumbnailUrls) URL.revokeObjectURL(url)
+    this.#thumbnailUrls = []
+  }
+}
+
+/** @param {number} ms */
+function formatPlayTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000)
+  const h = Math.floor(totalSeconds / 3600)
+  const m = Math.floor(totalSeconds / 60) % 60
+  const s = totalSeconds % 60
+  const pad = (n) => String(n).padStart(2, '0')
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`
+}
@@ -0,0 +1,61 @@
+/**
+ * SpeedIndicator
+ *
+ * Badge in the top-left corner showing the game speed whenever it isn't
+ * normal — "▶▶ 3×" while fast-forwarding, "▶ 1/2×" in slow motion.
+ * Follows EmulatorBridge's speed-change event, so held and toggled speeds, hotkeys
+ * and SpeedPanel all show up the same way.
+ */
+export class SpeedIndicator {
+  /** @type {HTMLElement} */
+  #el
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   */
+  constructor(emulatorBridge) {
+    this.#el = document.createElement('div')
+    this.#el.id = 'speed-indicator'
+    Object.assign(this.#el.style, {
+      position: 'fixed',
+      top: '12px',
+      left: '12px',
+      display: 'none',
+      padding: '6px 12px',
+      background: '#000913cc',
+      border: '1px solid currentColor',
+      fontFamily: '"Courier New", monospace',
+      fontSize: '13px',
+      letterSpacing: '0.15em',
+      pointerEvents: 'none',
+      zIndex: '50',
+    })
+    document.body.appendChild(this.#el)
+
+    emulatorBridge.addEventListener('speed-change', (e) => this.#update(e.detail.mode, e.detail.multiplier))
+  }
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').SpeedMode} mode
+   * @param {number} multiplier
+   */
+  #update(mode, multiplier) {
+    if (mode === 'normal') {
+      this.#el.style.display = 'none'
+      return
+    }
+
+    const fast = mode === 'fast'
+    this.#el.textContent = `${fast ? '▶▶' : '▶'} ${formatMultiplier(multiplier)}`
+    this.#el.style.color = fast ? '#0ff' : '#fa4'
+    this.#el.style.textShadow = `0 0 10px ${fast ? '#0ff' : '#fa4'}`
+    this.#el.style.display = 'block'
+  }
+}
+
+/** @param {number} multiplier */
+function formatMultiplier(multiplier) {
+  if (multiplier === Infinity) return 'MAX'
+  if (multiplier < 1) return `1/${Math.round(1 / multiplier)}×`
+  return `${multiplier}×`
+}
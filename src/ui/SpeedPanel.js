@@ -0,0 +1,108 @@
+/**
+ * SpeedPanel
+ *
+ * Modal for game speed: pick the fast-forward and slow-motion ratios, and
+ * toggle either one on or back to normal. The game keeps running while the
+ * panel is open so a new ratio can be judged straight away.
+ *
+ * The same speeds are on hotkeys (see InputBindings HOTKEY_LABELS); a held
+ * hotkey overrides whatever is toggled here until it is released.
+ */
+
+import { FAST_FORWARD_RATIOS, SLOW_MOTION_RATIOS } from '../emulator/EmulatorBridge.js'
+import { CONTROL_STYLE, createModal } from './ModalPanel.js'
+
+export class SpeedPanel {
+  /** @type {HTMLElement} */
+  #el
+
+  /** @type {import('../emulator/EmulatorBridge.js').EmulatorBridge} */
+  #emulatorBridge
+
+  /**
+   * @param {import('../emulator/EmulatorBridge.js').EmulatorBridge} emulatorBridge
+   */
+  constructor(emulatorBridge) {
+    this.#emulatorBridge = emulatorBridge
+
+    this.#el = createModal('speed-panel', { backdrop: 'rgba(0, 0, 0, 0.5)' })
+
+    // Keep the toggle highlight in step with hotkeys pressed while open
+    emulatorBridge.addEventListener('speed-change', () => {
+      if (this.isOpen) this.#render()
+    })
+  }
+
+  open() {
+    this.#render()
+    this.#el.style.display = 'flex'
+  }
+
+  close() {
+    this.#el.style.display = 'none'
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return this.#el.style.display !== 'none'
+  }
+
+  #render() {
+    const { fastForwardRatio, slowMotionRatio } = this.#emulatorBridge.speedRatios
+    const mode = this.#emulatorBridge.speedMode
+    const active = (m) => m === mode ? ' border-color:#0ff; box-shadow:0 0 10px #0ff6;' : ''
+
+    this.#el.innerHTML = `
+      <div style="
+        display: flex;
+        flex-direction: column;
+        gap: 14px;
+        padding: 28px 36px;
+        border: 1px solid #0ff4;
+        background: #000913;
+        box-shadow: 0 0 40px #0ff2;
+        width: min(400px, 92vw);
+      ">
+        <h2 style="margin:0; font-size:16px; letter-spacing:0.25em; text-shadow:0 0 12px #0ff;">SPEED</h2>
+
+        <div style="display:grid; grid-template-columns: 1fr 120px; gap:8px; align-items:center;">
+          <span style="color:#4af;">FAST-FORWARD</span>
+          <select data-role="ff-ratio" style="${CONTROL_STYLE}">
+            ${FAST_FORWARD_RATIOS.map((r) => `<option value="${r}"${r === fastForwardRatio ? ' selected' : ''}>${r === 0 ? 'MAX' : `${r}×`}</option>`).join('')}
+          </select>
+          <span style="color:#4af;">SLOW MOTION</span>
+          <select data-role="sm-ratio" style="${CONTROL_STYLE}">
+            ${SLOW_MOTION_RATIOS.map((r) => `<option value="${r}"${r === slowMotionRatio ? ' selected' : ''}>1/${r}×</option>`).join('')}
+          </select>
+        </div>
+
+        <div style="display:flex; gap:8px;">
+          <button data-speed="slow" style="${CONTROL_STYLE} flex:1;${active('slow')}">SLOW</button>
+          <button data-speed="normal" style="${CONTROL_STYLE} flex:1;${active('normal')}">NORMAL</button>
+          <button data-speed="fast" style="${CONTROL_STYLE} flex:1;${active('fast')}">FAST</button>
+        </div>
+
+        <p style="margin:0; color:#0ff6; font-size:10px; line-height:1.6;">
+          HOLD ] / [ FOR FAST-FORWARD / SLOW MOTION, PRESS = / - TO TOGGLE (REBIND IN CONTROLS)
+        </p>
+
+        <button data-role="close" style="${CONTROL_STYLE}">CLOSE</button>
+      </div>
+    `
+
+    this.#el.querySelector('[data-role="ff-ratio"]').addEventListener('change', (e) => {
+      this.#emulatorBridge.setSpeedRatios({ fastForwardRatio: Number(e.target.value) })
+    })
+    this.#el.querySelector('[data-role="sm-ratio"]').addEventListener('change', (e) => {
+      this.#emulatorBridge.setSpeedRatios({ slowMotionRatio: Number(e.target.value) })
+    })
+    for (const button of this.#el.querySelectorAll('[data-speed]')) {
+      button.addEventListener('click', () => {
+        const speed = button.dataset.speed
+        if (speed === 'normal') this.#emulatorBridge.resetSpeed()
+        else if (speed !== this.#emulatorBridge.speedMode) this.#emulatorBridge.toggleSpeed(speed)
+      })
+    }
+    this.#el.querySelector('[data-role="close"]').addEventListener('click', () => this.close())
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * escapeHTML
+ *
+ * Escapes text for the innerHTML templates the UI renders with — safe in
+ * element content and in quoted attribute values alike.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+  return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`)
+}